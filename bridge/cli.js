@@ -23,6 +23,7 @@ const File = require("fs-extra");
 const { User } = require("homebridge/lib/user");
 const Bridge = require("./server");
 const Server = require("../server/server");
+const Secrets = require("../server/secrets");
 const Program = require("commander");
 
 const { dirname, join } = require("path");
@@ -31,6 +32,7 @@ const { internal } = require("./logger");
 module.exports = () => {
     let keepOrphanedCachedAccessories = false
     let customPluginPath = null;
+    let isolate = null;
     let terminating = false;
 
     HBS.application = HBS.JSON.load(join(dirname(File.realpathSync(__filename)), "../package.json"));
@@ -41,6 +43,7 @@ module.exports = () => {
         .option("-c, --container", "run in container mode", function () { HBS.docker = true; })
         .option("-i, --instance [name]", "start HOOBS as a named instance", function (name) { HBS.name = name; })
         .option("-p, --plugin-path [path]", "look for plugins installed at [path] as well as the default locations ([path] can also point to a single plugin)", function (p) { customPluginPath = p; })
+        .option("-s, --isolate [plugin]", "run only the isolated platforms and accessories of [plugin]", function (p) { isolate = p; })
         .option("-r, --remove-orphans", "remove cached accessories for which plugin is not loaded", function () { keepOrphanedCachedAccessories = true; })
         .option("-u, --user-storage-path [path]", "look for bridge user files at [path]", function (p) { User.setStoragePath(p); })
         .parse(process.argv);
@@ -48,7 +51,15 @@ module.exports = () => {
     HAPStorage.setCustomStoragePath(User.persistPath());
 
     (async () => {
-        HBS.config = await Server.configure();
+        HBS.config = Server.partition(await Server.configure(), isolate);
+
+        const missing = Secrets.missing(HBS.config);
+
+        for (let i = 0; i < missing.length; i++) {
+            internal.warn(`Unable to resolve secret "${missing[i]}"`);
+        }
+
+        HBS.config = Secrets.resolve(HBS.config);
 
         const server = new Bridge({
             keepOrphanedCachedAccessories,
@@ -28,8 +28,9 @@ function setDebug(enabled) {
 const loggerCache = {};
 
 class Console {
-    constructor(prefix) {
+    constructor(prefix, plugin) {
         this.prefix = prefix;
+        this.plugin = plugin;
     }
 
     debug() {
@@ -51,22 +52,23 @@ class Console {
     }
     
     log(level, msg) {
-        msg = util.format.apply(util, Array.prototype.slice.call(arguments, 1));
-    
-        if (this.prefix) {
-            msg = `[${this.prefix}] ${msg}`;
-        }
-    
-        if (level === "warn" || level === "error") {
-            process.send({ event: "error_log", data: msg });
-        } else {
-            process.send({ event: "info_log", data: msg });
-        }
+        process.send({
+            event: "log",
+            data: {
+                level,
+                plugin: this.plugin || null,
+                prefix: this.prefix || null,
+                message: util.format.apply(util, Array.prototype.slice.call(arguments, 1)),
+                time: new Date().getTime()
+            }
+        });
     }
     
-    static withPrefix(prefix) {
-        if (!loggerCache[prefix]) {
-            const logger = new Console(prefix);
+    static withPrefix(prefix, plugin) {
+        const key = plugin ? `${plugin}/${prefix}` : prefix;
+
+        if (!loggerCache[key]) {
+            const logger = new Console(prefix, plugin);
             const log = logger.info.bind(logger);
     
             log.debug = logger.debug;
@@ -75,11 +77,12 @@ class Console {
             log.error = logger.error;
             log.log = logger.log;
             log.prefix = logger.prefix;
+            log.plugin = logger.plugin;
     
-            loggerCache[prefix] = log;
+            loggerCache[key] = log;
         }
     
-        return loggerCache[prefix];
+        return loggerCache[key];
     }
 }
 
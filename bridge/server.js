@@ -20,7 +20,6 @@
 const _ = require("lodash");
 
 const fs = require("fs");
-const os = require("os");
 const { join } = require("path");
 const storage = require("node-persist");
 
@@ -51,18 +50,20 @@ const {
 const { PlatformAccessory } = require("homebridge/lib/platformAccessory");
 const mac = require("homebridge/lib/util/mac");
 const { PluginManager } = require("homebridge/lib/pluginManager");
+const { User } = require("homebridge/lib/user");
 const HBS = require("../server/instance");
 const Plugins = require("../server/plugins");
 
 PluginManager.PLUGIN_IDENTIFIER_PATTERN = /^((@[\S]*)\/)?([\S-]*)$/;
 
-const home = HBS.docker ? "/hoobs" : join(os.userInfo().homedir, ".hoobs");
+const HAP_BASE = "-0000-1000-8000-0026BB765291";
+
 const accessoryStorage = storage.create();
 const log = internal;
 
 module.exports = class Server {
     constructor(options = {}) {
-        accessoryStorage.initSync({ dir: join(home, "etc", HBS.name || "", "accessories") });
+        accessoryStorage.initSync({ dir: join(User.storagePath(), "accessories") });
 
         this.cachedPlatformAccessories = [];
         this.cachedAccessoriesFileCreated = false;
@@ -247,6 +248,7 @@ module.exports = class Server {
                 platformPlugins.configureAccessory(accessory);
             }
 
+            this.watchAccessory(accessory._associatedHAPAccessory);
             this.bridge.addBridgedAccessory(accessory._associatedHAPAccessory);
 
             return true;
@@ -297,7 +299,7 @@ module.exports = class Server {
                 throw error;
             }
 
-            const logger = Console.withPrefix(displayName);
+            const logger = Console.withPrefix(displayName, plugin.getPluginIdentifier());
 
             logger("Initializing %s accessory...", accessoryIdentifier);
 
@@ -339,7 +341,7 @@ module.exports = class Server {
                 throw error;
             }
 
-            const logger = Console.withPrefix(displayName);
+            const logger = Console.withPrefix(displayName, plugin.getPluginIdentifier());
 
             logger("Initializing %s platform...", platformIdentifier);
 
@@ -398,18 +400,7 @@ module.exports = class Server {
             const accessoryUUID = uuid.generate(accessoryType + ":" + (uuidBase || displayName));
             const accessory = new Accessory(displayName, accessoryUUID);
 
-            accessory.on("service-characteristic-change", (data) => {
-                if (
-                    data.newValue !== data.oldValue
-                    && data.characteristic.displayName !== "Last Updated"
-                    && data.characteristic.displayName !== "Serial Number"
-                    && data.characteristic.displayName !== "Manufacturer"
-                    && data.characteristic.displayName !== "Identify"
-                    && data.characteristic.displayName !== "Model"
-                ) {
-                    process.send({ event: "accessory_change" });
-                }
-            });
+            this.watchAccessory(accessory);
 
             if (accessoryInstance.identify) {
                 accessory.on(AccessoryEventTypes.IDENTIFY, (paired, callback) => {
@@ -444,9 +435,36 @@ module.exports = class Server {
         }
     }
 
+    watchAccessory(accessory) {
+        accessory.on("service-characteristic-change", (data) => {
+            if (
+                data.newValue !== data.oldValue
+                && data.characteristic.displayName !== "Last Updated"
+                && data.characteristic.displayName !== "Serial Number"
+                && data.characteristic.displayName !== "Manufacturer"
+                && data.characteristic.displayName !== "Identify"
+                && data.characteristic.displayName !== "Model"
+            ) {
+                process.send({
+                    event: "characteristic_change",
+                    data: {
+                        aid: accessory.aid,
+                        iid: data.characteristic.iid,
+                        service: uuid.toShortForm(data.service.UUID, HAP_BASE),
+                        characteristic: uuid.toShortForm(data.characteristic.UUID, HAP_BASE),
+                        old_value: data.oldValue,
+                        value: data.newValue,
+                        time: new Date().getTime()
+                    }
+                });
+            }
+        });
+    }
+
     handleRegisterPlatformAccessories(accessories) {
         const hapAccessories = accessories.map(accessory => {
             this.cachedPlatformAccessories.push(accessory);
+            this.watchAccessory(accessory._associatedHAPAccessory);
 
             const plugin = this.pluginManager.getPlugin(accessory._associatedPlugin);
 
@@ -471,6 +489,8 @@ module.exports = class Server {
 
         this.bridge.addBridgedAccessories(hapAccessories);
         this.saveCachedPlatformAccessoriesOnDisk();
+
+        process.send({ event: "accessory_change" });
     }
 
     handleUpdatePlatformAccessories(accessories) {
@@ -489,6 +509,8 @@ module.exports = class Server {
 
         this.bridge.removeBridgedAccessories(hapAccessories);
         this.saveCachedPlatformAccessoriesOnDisk();
+
+        process.send({ event: "accessory_change" });
     }
 
     handlePublishExternalAccessories(accessories) {
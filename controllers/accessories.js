@@ -20,6 +20,8 @@ const File = require("fs-extra");
 
 const HBS = require("../server/instance");
 const HapClient = require("../server/hap-client");
+const History = require("../server/history");
+const Layout = require("../server/layout");
 const Server = require("../server/server");
 const User = require("../server/user");
 
@@ -37,6 +39,7 @@ module.exports = class AccessoriesController {
         HBS.app.get("/api/accessories/available", (request, response) => this.available(request, response));
         HBS.app.get("/api/accessories/favorites", (request, response) => this.listFavorites(request, response));
         HBS.app.get("/api/accessory/:id", (request, response) => this.getAccessory(request, response));
+        HBS.app.get("/api/accessory/:id/history", (request, response) => this.getHistory(request, response));
         HBS.app.put("/api/accessory/:id/:service", (request, response) => this.controlAccessory(request, response));
         HBS.app.post("/api/accessory/:id/:item", (request, response) => this.updateAccessory(request, response));
     }
@@ -105,6 +108,11 @@ module.exports = class AccessoriesController {
             }
 
             current.rooms.push(unassigned);
+
+            for (let i = 0; i < current.rooms.length; i++) {
+                current.rooms[i].accessories = this.permitted(request, current.rooms[i].accessories);
+            }
+
             response.send(current);
         });
     }
@@ -205,7 +213,11 @@ module.exports = class AccessoriesController {
                 results.unshift(unassigned);
             }
 
-            response.send(results);
+            for (let i = 0; i < results.length; i++) {
+                results[i].accessories = this.permitted(request, results[i].accessories);
+            }
+
+            response.send(results.filter(r => r.accessories.length > 0));
         });
     }
 
@@ -246,7 +258,7 @@ module.exports = class AccessoriesController {
                 }
             }
 
-            response.send(results);
+            response.send(this.permitted(request, results));
         });
     }
 
@@ -265,13 +277,19 @@ module.exports = class AccessoriesController {
                 }
             }
 
-            response.send(this.accessories);
+            response.send(this.permitted(request, this.accessories));
         });
     }
 
     getAccessory(request, response) {
         let results = {};
 
+        if (!Layout.permitted(request.params.id, User.decode(request.headers.authorization).rooms)) {
+            return response.status(403).json({
+                error: "forbidden"
+            });
+        }
+
         this.fetchService(parseInt((`${request.params.id}`).split(".")[0], 10)).then((response) => {
             results = response;
         }).catch((error) => {
@@ -281,9 +299,47 @@ module.exports = class AccessoriesController {
         });
     }
 
+    getHistory(request, response) {
+        const now = new Date().getTime();
+        const time = (value, fallback) => {
+            if (value === undefined || value === "") {
+                return fallback;
+            }
+
+            const results = /^\d+$/.test(`${value}`) ? parseInt(value, 10) : Date.parse(value);
+
+            return Number.isNaN(results) ? fallback : results;
+        };
+
+        if (!Layout.permitted(request.params.id, User.decode(request.headers.authorization).rooms)) {
+            return response.status(403).json({
+                error: "forbidden"
+            });
+        }
+
+        const to = time(request.query.to, now);
+        const from = time(request.query.from, to - (24 * 60 * 60 * 1000));
+
+        try {
+            return response.send(History.query(parseInt((`${request.params.id}`).split(".")[0], 10), from, to, parseInt(request.query.resolution, 10) || 0));
+        } catch (error) {
+            HBS.log.error(`[Accessory History] ${error.message}`);
+
+            return response.send({
+                error: error.message
+            });
+        }
+    }
+
     controlAccessory(request, response) {
         let results = {};
 
+        if (!Layout.permitted(request.params.id, User.decode(request.headers.authorization).rooms)) {
+            return response.status(403).json({
+                error: "forbidden"
+            });
+        }
+
         this.fetchService(parseInt((`${request.params.id}`).split(".")[0], 10)).then((service) => {
             let value = request.body.value;
 
@@ -349,6 +405,12 @@ module.exports = class AccessoriesController {
         });
     }
 
+    permitted(request, accessories) {
+        const rooms = User.decode(request.headers.authorization).rooms;
+
+        return (accessories || []).filter(a => Layout.permitted(a.aid, rooms));
+    }
+
     getCurrentUser(request) {
         const username = User.decode(request.headers.authorization).username;
 
@@ -384,6 +446,8 @@ module.exports = class AccessoriesController {
         for (let i = 0; i < services.length; i++) {
             const aid = services[i].aid;
 
+            services[i].history = services[i].characteristics.filter(c => History.tracked(c.type)).length > 0;
+
             if (lookup[aid]) {
                 services[i].aid = parseFloat(`${aid}.${lookup[aid]}`);
             }
@@ -0,0 +1,36 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const HBS = require("../server/instance");
+const Audit = require("../server/audit");
+
+module.exports = class AuditController {
+    constructor() {
+        HBS.app.get("/api/audit", (request, response) => this.list(request, response));
+    }
+
+    list(request, response) {
+        if (!HBS.admin) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        return response.send(Audit.list(request.query));
+    }
+}
@@ -16,8 +16,14 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
  **************************************************************************************************/
 
+const Request = require("axios");
+
 const HBS = require("../server/instance");
 const User = require("../server/user");
+const Audit = require("../server/audit");
+const Throttle = require("../server/throttle");
+const Sessions = require("../server/sessions");
+const HTTPS = require("../server/https");
 
 module.exports = class AuthController {
     constructor(client) {
@@ -26,6 +32,7 @@ module.exports = class AuthController {
         HBS.app.get("/api/auth", (request, response) => this.state(request, response));
         HBS.app.post("/api/auth", (request, response) => this.logon(request, response));
         HBS.app.put("/api/auth", (request, response) => this.create(request, response));
+        HBS.app.delete("/api/auth", (request, response) => this.logoff(request, response));
         HBS.app.get("/api/auth/validate", (request, response) => this.validate(request, response));
 
         if (this.client) {
@@ -46,38 +53,136 @@ module.exports = class AuthController {
     }
 
     sync(_request, response) {
-        return response.send(HBS.users);
+        return response.send(HBS.users.map(u => User.strip(u)));
     }
 
     async validate(request, response) {
+        if (User.isKey(request.headers.authorization)) {
+            return response.send({
+                valid: User.client ? await User.remote(request.headers.authorization) : !!User.findKey(request.headers.authorization)
+            });
+        }
+
         response.send({
-            valid: await User.validateToken(request.headers.authorization)
+            valid: await User.validateToken(request.headers.authorization, request.ip)
         });
     }
 
     async logon(request, response) {
-        const user = User.get(request.body.username);
+        if (User.client) {
+            try {
+                return response.send((await Request.post(`${User.client}/api/auth`, request.body, {
+                    httpsAgent: HTTPS.agent()
+                })).data);
+            } catch (_error) {
+                return response.send({
+                    token: false,
+                    error: "Unable to reach the client."
+                });
+            }
+        }
+
+        const wait = Throttle.wait(request.ip, request.body.username);
+
+        if (wait > 0) {
+            response.set("Retry-After", Math.ceil(wait / 1000));
+
+            return response.send({
+                token: false,
+                retry: Math.ceil(wait / 1000),
+                error: "Too many failed attempts, try again later."
+            });
+        }
+
+        const user = User.get(request.body.username || "");
 
         if (!user) {
+            User.failed(request.body.username, request.ip, "username");
+
             return response.send({
                 token: false,
                 error: "Invalid username or password."
             });
         }
 
-        const challenge = await User.hashValue(request.body.password, user.salt);
+        const challenge = await User.hashValue(request.body.password || "", user.salt);
             
         if (challenge !== user.password) {
+            User.failed(request.body.username, request.ip, "password");
+
             return response.send({
                 token: false,
                 error: "Invalid username or password."
             });
         }
 
+        if (User.totp(user) && !request.body.code) {
+            return response.send({
+                token: false,
+                totp: true
+            });
+        }
+
+        if (!User.challenge(user, request.body.code)) {
+            User.failed(request.body.username, request.ip, "totp");
+
+            return response.send({
+                token: false,
+                totp: true,
+                error: "Invalid verification code."
+            });
+        }
+
         const remember = request.body.remember || false;
 
+        Throttle.clear(request.ip, user.username);
+
+        Audit.record("auth.login", {
+            user: Audit.user(user.id),
+            ip: request.ip,
+            agent: request.headers["user-agent"] || null
+        });
+
+        return response.send({
+            token: await User.generateToken(user.id, remember, {
+                ip: request.ip,
+                agent: request.headers["user-agent"]
+            }),
+            enroll: User.enrollment(user)
+        });
+    }
+
+    async logoff(request, response) {
+        if (!(await User.validateToken(request.headers.authorization, request.ip))) {
+            return response.send({
+                success: false
+            });
+        }
+
+        if (User.client) {
+            try {
+                return response.send((await Request.delete(`${User.client}/api/auth`, {
+                    headers: {
+                        Authorization: request.headers.authorization
+                    },
+                    httpsAgent: HTTPS.agent()
+                })).data);
+            } catch (_error) {
+                return response.send({
+                    success: false
+                });
+            }
+        }
+
+        Sessions.revoke(User.payload(request.headers.authorization).sid);
+
+        Audit.record("auth.logout", {
+            user: Audit.user(User.decode(request.headers.authorization).id),
+            ip: request.ip
+        });
+
         return response.send({
-            token: await User.generateToken(user.id, remember)
+            success: true
         });
     }
 
@@ -119,7 +224,10 @@ module.exports = class AuthController {
         const user = await User.create(request.body.name, request.body.username, request.body.password, request.body.admin);
 
         return response.send({
-            token: await User.generateToken(user.id)
+            token: await User.generateToken(user.id, false, {
+                ip: request.ip,
+                agent: request.headers["user-agent"]
+            })
         });
     }
 }
@@ -0,0 +1,104 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const HBS = require("../server/instance");
+const Automations = require("../server/automations");
+const Layout = require("../server/layout");
+const User = require("../server/user");
+
+module.exports = class AutomationsController {
+    constructor() {
+        HBS.app.get("/api/automations", (request, response) => this.list(request, response));
+        HBS.app.put("/api/automations", (request, response) => this.create(request, response));
+        HBS.app.get("/api/automation/:id", (request, response) => this.get(request, response));
+        HBS.app.post("/api/automation/:id", (request, response) => this.update(request, response));
+        HBS.app.delete("/api/automation/:id", (request, response) => this.delete(request, response));
+    }
+
+    list(_request, response) {
+        return response.send(HBS.automations);
+    }
+
+    get(request, response) {
+        const automation = Automations.get(parseInt(request.params.id, 10));
+
+        if (!automation) {
+            return response.send({
+                error: "Automation not found"
+            });
+        }
+
+        return response.send(automation);
+    }
+
+    create(request, response) {
+        const error = Automations.validate(request.body);
+
+        if (error) {
+            return response.send({
+                error
+            });
+        }
+
+        if (!Layout.actions(request.body.actions, User.decode(request.headers.authorization).rooms)) {
+            return response.status(403).json({
+                error: "forbidden"
+            });
+        }
+
+        return response.send({
+            success: true,
+            automation: Automations.create(request.body)
+        });
+    }
+
+    update(request, response) {
+        const error = Automations.validate(request.body);
+
+        if (error) {
+            return response.send({
+                error
+            });
+        }
+
+        if (!Layout.actions(request.body.actions, User.decode(request.headers.authorization).rooms)) {
+            return response.status(403).json({
+                error: "forbidden"
+            });
+        }
+
+        const automation = Automations.update(parseInt(request.params.id, 10), request.body);
+
+        if (!automation) {
+            return response.send({
+                error: "Automation not found"
+            });
+        }
+
+        return response.send({
+            success: true,
+            automation
+        });
+    }
+
+    delete(request, response) {
+        return response.send({
+            success: Automations.delete(parseInt(request.params.id, 10))
+        });
+    }
+}
@@ -24,6 +24,11 @@ const Forms = require("formidable");
 const HBS = require("../server/instance");
 const Server = require("../server/server");
 const User = require("../server/user");
+const Validator = require("../server/validator");
+const Versions = require("../server/versions");
+const Secrets = require("../server/secrets");
+const Audit = require("../server/audit");
+const MQTT = require("../server/mqtt");
 
 const { join } = require("path");
 
@@ -43,11 +48,15 @@ module.exports = class ConfigController {
 
         if (!this.client) {
             HBS.app.get("/api/config/generate", (request, response) => this.generate(request, response));
+            HBS.app.get("/api/config/history", (request, response) => this.history(request, response));
+            HBS.app.get("/api/config/history/:id", (request, response) => this.version(request, response));
+            HBS.app.get("/api/config/diff/:from/:to", (request, response) => this.diff(request, response));
+            HBS.app.post("/api/config/history/:id/revert", (request, response) => this.revert(request, response));
         }
     }
 
     async register(request, response) {
-        if (!(await User.validateToken(request.headers.authorization))) {
+        if (!(await User.authorize(request.headers.authorization, request.method, request.path))) {
             return response.send({
                 error: "Unauthorized."
             });
@@ -63,7 +72,7 @@ module.exports = class ConfigController {
             data.client.instances.push(request.body.instance);
         }
 
-        Server.saveConfig(data);
+        Server.saveConfig(data, User.decode(request.headers.authorization));
 
         HBS.config = await Server.configure();
 
@@ -92,10 +101,10 @@ module.exports = class ConfigController {
             HBS.config.server.docker = true;
         }
 
-        if (!await User.validateToken(request.headers.authorization)) {
+        if (!await User.authorize(request.headers.authorization, request.method, request.path) || !User.can(User.decode(request.headers.authorization), "config")) {
             return response.send({
                 system: HBS.config.system || "hoobs",
-                server: HBS.config.server || {},
+                server: _.omit(HBS.config.server || {}, ["metrics_token", "credentials", "https"]),
                 client: HBS.config.client || {},
                 bridge: HBS.config.bridge || {}
             });
@@ -108,6 +117,7 @@ module.exports = class ConfigController {
             bridge: HBS.config.bridge || {},
             description: HBS.config.description || "",
             ports: HBS.config.ports || {},
+            mqtt: HBS.config.mqtt || {},
             accessories: HBS.config.accessories || [],
             platforms: HBS.config.platforms || []
         });
@@ -132,6 +142,8 @@ module.exports = class ConfigController {
     async save(request, response) {
         const data = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "config.json"), {});
 
+        let warnings = [];
+
         if (request.body.client) {
             data.client = request.body.client;
         }
@@ -139,27 +151,77 @@ module.exports = class ConfigController {
         if (!this.client) {
             if (request.body.server) {
                 const setupId = data.server.home_setup_id;
+                const policy = data.server.require_2fa_admin || false;
 
                 delete data.server.docker;
 
                 data.server = request.body.server;
                 data.server.home_setup_id = setupId;
+
+                if (!User.can(User.decode(request.headers.authorization), "users")) {
+                    data.server.require_2fa_admin = policy;
+                }
             }
 
             if (request.body.bridge) {
                 data.bridge = request.body.bridge;
             }
 
+            if (request.body.mqtt) {
+                data.mqtt = request.body.mqtt;
+            }
+
+            const current = HBS.JSON.clone(data);
+
             data.ports = request.body.ports;
             data.description = request.body.description;
             data.accessories = request.body.accessories;
             data.platforms = request.body.platforms;
+
+            const errors = Validator.validate(Secrets.resolve(data));
+
+            const invalid = errors.filter((error) => {
+                const entry = (error.type === "platform" ? data.platforms : data.accessories)[error.index];
+                const existing = (error.type === "platform" ? current.platforms : current.accessories) || [];
+
+                return existing.findIndex(e => HBS.JSON.equals(e, entry)) === -1;
+            });
+
+            if (invalid.length > 0 && !request.body.force) {
+                return response.send({
+                    error: "Invalid plugin configuration.",
+                    errors: invalid
+                });
+            }
+
+            for (let i = 0; i < errors.length; i++) {
+                HBS.log.warn(`[Config] ${errors[i].plugin} ${errors[i].type} "${errors[i].field}" ${errors[i].message}`);
+            }
+
+            warnings = errors;
+
+            Secrets.seal(data);
         }
 
-        Server.saveConfig(data);
+        Server.saveConfig(data, User.decode(request.headers.authorization));
+
+        Audit.record("config.save", {
+            ip: request.ip
+        });
 
         HBS.config = await Server.configure();
 
+        if (!this.client) {
+            MQTT.reload();
+        }
+
+        if (warnings.length > 0) {
+            return response.send({
+                success: true,
+                warnings
+            });
+        }
+
         return response.send({
             success: true
         });
@@ -174,6 +236,79 @@ module.exports = class ConfigController {
         });
     }
 
+    history(_request, response) {
+        return response.send(Versions.list());
+    }
+
+    version(request, response) {
+        const version = Versions.get(request.params.id);
+
+        if (!version) {
+            return response.send({
+                error: "Version not found."
+            });
+        }
+
+        return response.send(version);
+    }
+
+    diff(request, response) {
+        const from = Versions.get(request.params.from);
+        const to = Versions.get(request.params.to);
+
+        if (!from || !to) {
+            return response.send({
+                error: "Version not found."
+            });
+        }
+
+        return response.send({
+            from: Versions.summary(from),
+            to: Versions.summary(to),
+            changes: Versions.diff(from.config, to.config)
+        });
+    }
+
+    async revert(request, response) {
+        if (!HBS.admin) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        const version = Versions.get(request.params.id);
+
+        if (!version || request.params.id === "current") {
+            return response.send({
+                error: "Version not found."
+            });
+        }
+
+        const config = HBS.JSON.clone(version.config);
+
+        config.server = config.server || {};
+        config.server.home_setup_id = (HBS.config.server || {}).home_setup_id;
+
+        HBS.log.info(`[Config] Reverting configuration to version ${version.id}`);
+
+        Server.saveConfig(config, User.decode(request.headers.authorization), version.id);
+
+        Audit.record("config.revert", {
+            ip: request.ip,
+            version: version.id
+        });
+
+        HBS.config = await Server.configure();
+
+        HBS.server.restart().then(() => {
+            HBS.log.command("refresh");
+        });
+
+        return response.send({
+            success: true
+        });
+    }
+
     restore(request, response) {
         if (!HBS.admin) {	
             return response.status(403).json({	
@@ -189,7 +324,13 @@ module.exports = class ConfigController {
             const contents = HBS.JSON.load(files.file.path);
 
             if (contents) {
-                Server.saveConfig(contents);
+                Secrets.seal(contents);
+
+                Server.saveConfig(contents, User.decode(request.headers.authorization));
+
+                Audit.record("config.restore", {
+                    ip: request.ip
+                });
 
                 File.unlinkSync(files.file.path);
 
@@ -199,7 +340,7 @@ module.exports = class ConfigController {
                 HBS.config = await Server.configure();
 
                 HBS.server.restart().then(() => {
-                    HBS.log.command("unlock");
+                    HBS.log.command("unlock", null, User.session(request.headers.authorization));
                     HBS.log.command("refresh");
                 });
 
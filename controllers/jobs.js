@@ -0,0 +1,53 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const HBS = require("../server/instance");
+const Jobs = require("../server/jobs");
+
+module.exports = class JobsController {
+    constructor() {
+        HBS.app.get("/api/jobs", (request, response) => this.list(request, response));
+        HBS.app.get("/api/job/:id", (request, response) => this.get(request, response));
+        HBS.app.delete("/api/job/:id", (request, response) => this.delete(request, response));
+    }
+
+    list(_request, response) {
+        return response.send(HBS.jobs.map(j => Jobs.summary(j)));
+    }
+
+    get(request, response) {
+        const job = Jobs.get(parseInt(request.params.id, 10));
+
+        if (!job) {
+            return response.send({
+                error: "Job not found"
+            });
+        }
+
+        return response.send({
+            ...Jobs.summary(job),
+            output: job.output
+        });
+    }
+
+    delete(request, response) {
+        return response.send({
+            success: Jobs.cancel(parseInt(request.params.id, 10))
+        });
+    }
+}
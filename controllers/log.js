@@ -0,0 +1,41 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const HBS = require("../server/instance");
+const Logs = require("../server/logs");
+
+module.exports = class LogController {
+    constructor() {
+        HBS.app.get("/api/log", (request, response) => this.query(request, response));
+        HBS.app.get("/api/log/download", (request, response) => this.download(request, response));
+    }
+
+    query(request, response) {
+        return response.send(Logs.query(request.query));
+    }
+
+    download(_request, response) {
+        response.attachment(`logs-${HBS.name || "default"}-${new Date().getTime()}.zip`);
+
+        Logs.bundle(response).on("error", (error) => {
+            HBS.log.error(`[Logs] ${error.message}`);
+
+            response.end();
+        });
+    }
+}
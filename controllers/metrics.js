@@ -0,0 +1,241 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const Crypto = require("crypto");
+const System = require("systeminformation");
+
+const HBS = require("../server/instance");
+const HapClient = require("../server/hap-client");
+const Layout = require("../server/layout");
+const Plugins = require("../server/plugins");
+const User = require("../server/user");
+const Throttle = require("../server/throttle");
+
+const characteristics = {
+    temperature: {
+        name: "hoobs_accessory_temperature_celsius",
+        help: "Current temperature reported by the accessory."
+    },
+    relative_humidity: {
+        name: "hoobs_accessory_relative_humidity_percent",
+        help: "Current relative humidity reported by the accessory."
+    },
+    battery_level: {
+        name: "hoobs_accessory_battery_level_percent",
+        help: "Battery level reported by the accessory."
+    },
+    on: {
+        name: "hoobs_accessory_on",
+        help: "Whether the accessory is on."
+    }
+};
+
+module.exports = class MetricsController {
+    constructor() {
+        this.hap = new HapClient();
+
+        HBS.app.get("/metrics", (request, response) => this.metrics(request, response));
+    }
+
+    async authorize(request) {
+        const header = request.headers.authorization || "";
+        const token = (HBS.config.server || {}).metrics_token;
+
+        if (token && token !== "" && header.indexOf("Bearer ") === 0 && !User.isKey(header)) {
+            const expected = Buffer.from(User.hashKey(token), "hex");
+            const actual = Buffer.from(User.hashKey(header.substring(7)), "hex");
+
+            return Crypto.timingSafeEqual(actual, expected) ? {} : null;
+        }
+
+        if (User.isKey(header)) {
+            return (await User.validateKey(header, request.method, request.path, request.ip)) ? User.decode(header) : null;
+        }
+
+        if (!User.client && header.indexOf("Basic ") === 0) {
+            const credentials = Buffer.from(header.substring(6), "base64").toString();
+            const index = credentials.indexOf(":");
+
+            if (index > 0) {
+                const username = credentials.substring(0, index);
+
+                if (Throttle.wait(request.ip, username) > 0) {
+                    return null;
+                }
+
+                const user = User.get(username);
+
+                if (user && User.totp(user)) {
+                    return null;
+                }
+
+                if (user && (await User.hashValue(credentials.substring(index + 1), user.salt)) === user.password) {
+                    Throttle.clear(request.ip, user.username);
+
+                    return user;
+                }
+
+                User.failed(username, request.ip, user ? "password" : "username", "metrics");
+            }
+        }
+
+        return null;
+    }
+
+    async metrics(request, response) {
+        const user = await this.authorize(request);
+
+        if (!user) {
+            response.set("WWW-Authenticate", "Basic realm=\"HOOBS\"");
+
+            return response.status(401).send("unauthorized\n");
+        }
+
+        const lines = [];
+        const instance = HBS.name || "default";
+
+        const write = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} ${type}`);
+
+            for (let i = 0; i < samples.length; i++) {
+                const labels = Object.keys(samples[i].labels).map(key => `${key}="${this.escape(samples[i].labels[key])}"`).join(",");
+
+                lines.push(`${name}{${labels}} ${samples[i].value}`);
+            }
+        };
+
+        write("hoobs_bridge_running", "gauge", "Whether the bridge is running.", [{
+            labels: { instance },
+            value: HBS.server.running ? 1 : 0
+        }]);
+
+        write("hoobs_bridge_uptime_seconds", "gauge", "Seconds since the bridge started.", [{
+            labels: { instance },
+            value: HBS.server.running ? Math.round((new Date() - HBS.server.time) / 1000) : 0
+        }]);
+
+        write("hoobs_plugins_installed", "gauge", "Number of installed plugins.", [{
+            labels: { instance },
+            value: Object.keys(Plugins.list()).length
+        }]);
+
+        try {
+            const cpu = await System.currentLoad();
+            const memory = await System.mem();
+            const temp = await System.cpuTemperature();
+
+            write("hoobs_cpu_load_percent", "gauge", "Current CPU load.", [{
+                labels: { instance },
+                value: Math.round((100 - cpu.currentload_idle) * 100) / 100
+            }]);
+
+            write("hoobs_memory_used_bytes", "gauge", "Active memory.", [{
+                labels: { instance },
+                value: memory.active
+            }]);
+
+            write("hoobs_memory_total_bytes", "gauge", "Total memory.", [{
+                labels: { instance },
+                value: memory.total
+            }]);
+
+            if (temp.main !== null && temp.main !== undefined && temp.main >= 0) {
+                write("hoobs_cpu_temperature_celsius", "gauge", "CPU temperature.", [{
+                    labels: { instance },
+                    value: temp.main
+                }]);
+            }
+        } catch (error) {
+            HBS.log.error(`[Metrics] ${error.message}`);
+        }
+
+        const samples = await this.accessories(instance, user);
+        const keys = Object.keys(characteristics);
+
+        for (let i = 0; i < keys.length; i++) {
+            const items = samples.filter(s => s.type === keys[i]);
+
+            if (items.length > 0) {
+                write(characteristics[keys[i]].name, "gauge", characteristics[keys[i]].help, items);
+            }
+        }
+
+        response.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+
+        return response.send(`${lines.join("\n")}\n`);
+    }
+
+    async accessories(instance, user) {
+        const results = [];
+
+        if (!HBS.server.running) {
+            return results;
+        }
+
+        let services = [];
+
+        try {
+            services = await this.hap.accessories();
+        } catch (error) {
+            HBS.log.error(`[Metrics] ${error.message}`);
+
+            return results;
+        }
+
+        const ids = Layout.ids(services);
+
+        for (let i = 0; i < services.length; i++) {
+            if (!Layout.permitted(services[i].aid, user.rooms)) {
+                continue;
+            }
+
+            if (services[i].characteristics.filter(c => characteristics[c.type]).length > 0) {
+                try {
+                    await services[i].refresh();
+                } catch (error) {
+                    HBS.log.debug(`[Metrics] ${error.message}`);
+                }
+
+                for (let j = 0; j < services[i].characteristics.length; j++) {
+                    const characteristic = services[i].characteristics[j];
+
+                    if (characteristics[characteristic.type] && characteristic.value !== null && characteristic.value !== undefined && !Number.isNaN(Number(characteristic.value))) {
+                        results.push({
+                            type: characteristic.type,
+                            labels: {
+                                instance,
+                                aid: services[i].aid,
+                                service_type: services[i].type,
+                                service_name: services[i].service_name,
+                                room: Layout.room(ids[i], user.username)
+                            },
+                            value: Number(characteristic.value)
+                        });
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+
+    escape(value) {
+        return `${value}`.replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+    }
+}
@@ -17,8 +17,9 @@
  **************************************************************************************************/
 
 const HBS = require("../server/instance");
+const Jobs = require("../server/jobs");
 const Plugins = require("../server/plugins");
-const Server = require("../server/server");
+const User = require("../server/user");
 
 module.exports = class PluginsController {
     constructor() {
@@ -89,65 +90,17 @@ module.exports = class PluginsController {
             });
         }
 
-        Plugins.install(name, tag, request.query.replace ? decodeURIComponent(request.query.replace) : null).then((results) => {
-            if (results.success) {
-                HBS.log.info(`Plugin "${name}" installed.`);
-
-                const installed = Plugins.list();
-                const version = installed[name] ? installed[name].version : null
-                const details = Plugins.getPluginType(name);
-
-                Plugins.package(name, version).then(async (plugin) => {
-                    HBS.log.push.info(name, "Plugin successfully installed");
-
-                    if (request.query.socketed === "true") {
-                        HBS.config = await Server.configure();
-
-                        HBS.server.restart().then(() => {
-                            HBS.log.command("unlock");
-                        });
-
-                        HBS.log.command("redirect", {
-                            route: `/config/${plugin.name}`
-                        });
-                    } else {
-                        return response.send({
-                            success: true,
-                            active: results.active,
-                            details,
-                            plugin
-                        });
-                    }
-                });
-            } else {
-                if (results.active > 0) {
-                    HBS.log.push.warning("An install process is already running");
-                } else {
-                    HBS.log.push.error(name, "Plugin install failed");
-                }
-
-                if (request.query.socketed === "true") {
-                    if (results.active === 0) {
-                        HBS.log.command("redirect", {
-                            route: "/plugins"
-                        });
-                    }
-                } else {
-                    return response.send({
-                        error: results.active > 0 ? "system busy" : "plugin can not be installed",
-                        active: results.active
-                    });
-                }
-            }
-        }).catch((error) => {
-            HBS.log.error(error);
+        const job = Jobs.enqueue("install", name, {
+            tag,
+            replace: request.query.replace ? decodeURIComponent(request.query.replace) : null,
+            session: User.session(request.headers.authorization),
+            socketed: request.query.socketed === "true"
         });
 
-        if (request.query.socketed === "true") {
-            return response.send({
-                success: true
-            });
-        }
+        return response.send({
+            success: true,
+            job: Jobs.summary(job)
+        });
     }
 
     uninstall(request, response) {
@@ -176,56 +129,15 @@ module.exports = class PluginsController {
             });
         }
 
-        Plugins.uninstall(name).then(async (results) => {
-            if (results.success) {
-                HBS.log.info(`Plugin "${name}" removed.`);
-                HBS.log.push.warning(name, "Plugin successfully removed");
-
-                if (request.query.socketed === "true") {
-                    HBS.config = await Server.configure();
-
-                    HBS.server.restart().then(() => {
-                        HBS.log.command("unlock");
-                    });
-
-                    HBS.log.command("redirect", {
-                        route: "/plugins"
-                    });
-                } else {
-                    return response.send({
-                        success: true,
-                        active: results.active
-                    });
-                }
-            } else {
-                if (results.active > 0) {
-                    HBS.log.push.warning("An install process is already running");
-                } else {
-                    HBS.log.push.error(name, "Plugin remove failed");
-                }
-
-                if (request.query.socketed === "true") {
-                    if (results.active === 0) {
-                        HBS.log.command("redirect", {
-                            route: "/plugins"
-                        });
-                    }
-                } else {
-                    return response.send({
-                        error: results.active > 0 ? "system busy" : "plugin can not be installed",
-                        active: results.active
-                    });
-                }
-            }
-        }).catch((error) => {
-            HBS.log.error(error);
+        const job = Jobs.enqueue("uninstall", name, {
+            session: User.session(request.headers.authorization),
+            socketed: request.query.socketed === "true"
         });
 
-        if (request.query.socketed === "true") {
-            return response.send({
-                success: true
-            });
-        }
+        return response.send({
+            success: true,
+            job: Jobs.summary(job)
+        });
     }
 
     update(request, response) {
@@ -257,42 +169,15 @@ module.exports = class PluginsController {
             });
         }
 
-        Plugins.update(name, tag).then(async (results) => {
-            HBS.log.info(`Plugin "${name}" updated.`);
-
-            if (results.active > 0) {
-                HBS.log.push.warning("An install process is already running");
-            } else {
-                HBS.log.push.info(name, "Plugin successfully updated");
-            }
-
-            if (request.query.socketed === "true") {
-                if (results.active === 0) {
-                    HBS.config = await Server.configure();
-
-                    HBS.server.restart().then(() => {
-                        HBS.log.command("unlock");
-                    });
-
-                    HBS.log.command("redirect", {
-                        route: "/plugins"
-                    });
-                }
-            } else {
-                if (results.active === 0) {
-                    return response.send({
-                        success: true,
-                        active: results.active
-                    });
-                }
+        const job = Jobs.enqueue("update", name, {
+            tag,
+            session: User.session(request.headers.authorization),
+            socketed: request.query.socketed === "true"
+        });
 
-                return response.send({
-                    error: results.active > 0 ? "system busy" : "plugin can not be installed",
-                    active: results.active
-                });
-            }
-        }).catch((error) => {
-            HBS.log.error(error);
+        return response.send({
+            success: true,
+            job: Jobs.summary(job)
         });
     }
 }
@@ -0,0 +1,141 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const HBS = require("../server/instance");
+const Scenes = require("../server/scenes");
+const Layout = require("../server/layout");
+const User = require("../server/user");
+
+module.exports = class ScenesController {
+    constructor() {
+        HBS.app.get("/api/scenes", (request, response) => this.list(request, response));
+        HBS.app.put("/api/scenes", (request, response) => this.create(request, response));
+        HBS.app.get("/api/scene/:id", (request, response) => this.get(request, response));
+        HBS.app.post("/api/scene/:id", (request, response) => this.update(request, response));
+        HBS.app.delete("/api/scene/:id", (request, response) => this.delete(request, response));
+        HBS.app.post("/api/scene/:id/apply", (request, response) => this.apply(request, response));
+    }
+
+    list(_request, response) {
+        return response.send(HBS.scenes);
+    }
+
+    get(request, response) {
+        const scene = Scenes.get(parseInt(request.params.id, 10));
+
+        if (!scene) {
+            return response.send({
+                error: "Scene not found"
+            });
+        }
+
+        return response.send(scene);
+    }
+
+    async create(request, response) {
+        if (!request.body.name || request.body.name === "") {
+            return response.send({
+                error: "Invalid scene name."
+            });
+        }
+
+        if (!Array.isArray(request.body.accessories) || request.body.accessories.length === 0) {
+            return response.send({
+                error: "No accessories selected."
+            });
+        }
+
+        if (request.body.accessories.findIndex(a => !Layout.permitted(a, User.decode(request.headers.authorization).rooms)) >= 0) {
+            return response.status(403).json({
+                error: "forbidden"
+            });
+        }
+
+        try {
+            return response.send({
+                success: true,
+                scene: await Scenes.create(request.body.name, request.body.accessories)
+            });
+        } catch (error) {
+            HBS.log.error(`[Create Scene] ${error.message}`);
+
+            return response.send({
+                error: "Unable to capture accessories."
+            });
+        }
+    }
+
+    async update(request, response) {
+        if (Array.isArray(request.body.accessories) && request.body.accessories.findIndex(a => !Layout.permitted(a, User.decode(request.headers.authorization).rooms)) >= 0) {
+            return response.status(403).json({
+                error: "forbidden"
+            });
+        }
+
+        try {
+            const scene = await Scenes.update(parseInt(request.params.id, 10), request.body.name, request.body.accessories);
+
+            if (!scene) {
+                return response.send({
+                    error: "Scene not found"
+                });
+            }
+
+            return response.send({
+                success: true,
+                scene
+            });
+        } catch (error) {
+            HBS.log.error(`[Update Scene] ${error.message}`);
+
+            return response.send({
+                error: "Unable to capture accessories."
+            });
+        }
+    }
+
+    delete(request, response) {
+        return response.send({
+            success: Scenes.delete(parseInt(request.params.id, 10))
+        });
+    }
+
+    async apply(request, response) {
+        const scene = Scenes.get(parseInt(request.params.id, 10));
+        const rooms = User.decode(request.headers.authorization).rooms;
+
+        if (scene && scene.accessories.findIndex(a => !Layout.permitted(a.aid, rooms)) >= 0) {
+            return response.status(403).json({
+                error: "forbidden"
+            });
+        }
+
+        const results = await Scenes.apply(parseInt(request.params.id, 10));
+
+        if (!results) {
+            return response.send({
+                error: "Scene not found"
+            });
+        }
+
+        return response.send({
+            success: results.findIndex(r => !r.success) === -1,
+            results
+        });
+    }
+}
@@ -0,0 +1,145 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const HBS = require("../server/instance");
+const Schedules = require("../server/schedules");
+const Layout = require("../server/layout");
+const User = require("../server/user");
+
+module.exports = class SchedulesController {
+    constructor() {
+        HBS.app.get("/api/schedules", (request, response) => this.list(request, response));
+        HBS.app.put("/api/schedules", (request, response) => this.create(request, response));
+        HBS.app.post("/api/schedules/preview", (request, response) => this.preview(request, response));
+        HBS.app.get("/api/schedule/:id", (request, response) => this.get(request, response));
+        HBS.app.post("/api/schedule/:id", (request, response) => this.update(request, response));
+        HBS.app.delete("/api/schedule/:id", (request, response) => this.delete(request, response));
+        HBS.app.get("/api/schedule/:id/next", (request, response) => this.next(request, response));
+    }
+
+    async list(_request, response) {
+        const results = [];
+
+        for (let i = 0; i < HBS.schedules.length; i++) {
+            results.push({
+                ...HBS.schedules[i],
+                next: (await Schedules.next(HBS.schedules[i], 1))[0] || null,
+                status: Schedules.status(HBS.schedules[i])
+            });
+        }
+
+        return response.send(results);
+    }
+
+    get(request, response) {
+        const schedule = Schedules.get(parseInt(request.params.id, 10));
+
+        if (!schedule) {
+            return response.send({
+                error: "Schedule not found"
+            });
+        }
+
+        return response.send(schedule);
+    }
+
+    create(request, response) {
+        const error = Schedules.validate(request.body);
+
+        if (error) {
+            return response.send({
+                error
+            });
+        }
+
+        if (!Layout.actions(request.body.actions, User.decode(request.headers.authorization).rooms)) {
+            return response.status(403).json({
+                error: "forbidden"
+            });
+        }
+
+        return response.send({
+            success: true,
+            schedule: Schedules.create(request.body)
+        });
+    }
+
+    update(request, response) {
+        const error = Schedules.validate(request.body);
+
+        if (error) {
+            return response.send({
+                error
+            });
+        }
+
+        if (!Layout.actions(request.body.actions, User.decode(request.headers.authorization).rooms)) {
+            return response.status(403).json({
+                error: "forbidden"
+            });
+        }
+
+        const schedule = Schedules.update(parseInt(request.params.id, 10), request.body);
+
+        if (!schedule) {
+            return response.send({
+                error: "Schedule not found"
+            });
+        }
+
+        return response.send({
+            success: true,
+            schedule
+        });
+    }
+
+    delete(request, response) {
+        return response.send({
+            success: Schedules.delete(parseInt(request.params.id, 10))
+        });
+    }
+
+    async next(request, response) {
+        const schedule = Schedules.get(parseInt(request.params.id, 10));
+
+        if (!schedule) {
+            return response.send({
+                error: "Schedule not found"
+            });
+        }
+
+        return response.send({
+            next: await Schedules.next(schedule, Math.min(parseInt(request.query.count, 10) || 5, 50)),
+            status: Schedules.status(schedule)
+        });
+    }
+
+    async preview(request, response) {
+        const error = Schedules.validate(request.body);
+
+        if (error) {
+            return response.send({
+                error
+            });
+        }
+
+        return response.send({
+            next: await Schedules.next(Schedules.normalize(request.body), Math.min(parseInt(request.query.count, 10) || 5, 50))
+        });
+    }
+}
@@ -17,11 +17,19 @@
  **************************************************************************************************/
 
 const HBS = require("../server/instance");
+const Watchdog = require("../server/watchdog");
+const Audit = require("../server/audit");
+
+const actions = ["start", "stop", "restart", "clean"];
 
 module.exports = class ServiceController {
     constructor() {
         HBS.app.get("/api/service", (request, response) => this.status(request, response));
+        HBS.app.get("/api/service/crashes", (request, response) => this.crashes(request, response));
+        HBS.app.delete("/api/service/crashes", (request, response) => this.clear(request, response));
+        HBS.app.delete("/api/service/disabled/:name", (request, response) => this.enable(request, response));
         HBS.app.post("/api/service/:action", (request, response) => this.control(request, response));
+        HBS.app.post("/api/service/bridge/:name/:action", (request, response) => this.bridge(request, response));
     }
 
     status(_request, response) {
@@ -29,11 +37,70 @@ module.exports = class ServiceController {
             version: HBS.server.version,
             running: HBS.server.running,
             status: HBS.server.running ? "running" : "stopped",
-            uptime: new Date() - HBS.server.time
+            uptime: new Date() - HBS.server.time,
+            bridges: HBS.server.bridges(),
+            policy: Watchdog.policy,
+            disabled: HBS.config.disabled || []
+        });
+    }
+
+    crashes(_request, response) {
+        response.send(HBS.crashes);
+    }
+
+    clear(_request, response) {
+        Watchdog.clear();
+
+        response.send({
+            success: true
         });
     }
 
+    async enable(request, response) {
+        response.send({
+            success: await Watchdog.enable(request.params.name)
+        });
+    }
+
+    bridge(request, response) {
+        const bridge = Object.keys(HBS.server.children).indexOf(request.params.name) >= 0 ? HBS.server.children[request.params.name] : null;
+
+        if (!bridge) {
+            response.status(404);
+
+            return response.send({
+                error: "bridge not found"
+            });
+        }
+
+        switch (request.params.action) {
+            case "start":
+            case "stop":
+            case "restart":
+                bridge[request.params.action]().then(() => {
+                    return response.send({
+                        success: true
+                    });
+                });
+
+                break;
+
+            default:
+                response.status(404);
+
+                return response.send({
+                    error: "invalid request"
+                });
+        }
+    }
+
     control(request, response) {
+        if (actions.indexOf(request.params.action) >= 0) {
+            Audit.record(`service.${request.params.action}`, {
+                ip: request.ip
+            });
+        }
+
         switch (request.params.action) {
             case "start":
                 HBS.server.start().then(() => {
@@ -0,0 +1,105 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const HBS = require("../server/instance");
+const User = require("../server/user");
+const Audit = require("../server/audit");
+const Sessions = require("../server/sessions");
+
+module.exports = class SessionsController {
+    constructor() {
+        HBS.app.get("/api/sessions", (request, response) => this.list(request, response));
+        HBS.app.delete("/api/sessions", (request, response) => this.clear(request, response));
+        HBS.app.delete("/api/sessions/:id", (request, response) => this.revoke(request, response));
+    }
+
+    target(request) {
+        if (request.query.user === undefined) {
+            return HBS.user;
+        }
+
+        return parseInt(request.query.user, 10);
+    }
+
+    list(request, response) {
+        const user = this.target(request);
+        const current = (User.payload(request.headers.authorization) || {}).sid;
+
+        if (user !== HBS.user && !User.can(User.decode(request.headers.authorization), "users")) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        return response.send(Sessions.list(user).map(s => Object.assign(s, {
+            current: s.id === current
+        })));
+    }
+
+    clear(request, response) {
+        const user = this.target(request);
+        const current = (User.payload(request.headers.authorization) || {}).sid;
+
+        if (user !== HBS.user && !User.can(User.decode(request.headers.authorization), "users")) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        const count = Sessions.revokeUser(user, current);
+
+        Audit.record("session.revoke", {
+            target: Audit.user(user),
+            count,
+            ip: request.ip
+        });
+
+        return response.send({
+            success: true,
+            count
+        });
+    }
+
+    revoke(request, response) {
+        const session = Sessions.get(request.params.id);
+
+        if (!session) {
+            return response.send({
+                error: "Session not found"
+            });
+        }
+
+        if (session.user !== HBS.user && !User.can(User.decode(request.headers.authorization), "users")) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        Sessions.revoke(session.id);
+
+        Audit.record("session.revoke", {
+            target: Audit.user(session.user),
+            session: session.id,
+            ip: request.ip
+        });
+
+        return response.send({
+            success: true
+        });
+    }
+}
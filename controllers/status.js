@@ -20,6 +20,8 @@ const Forms = require("formidable");
 
 const HBS = require("../server/instance");
 const Server = require("../server/server");
+const Audit = require("../server/audit");
+const User = require("../server/user");
 
 const { join } = require("path");
 
@@ -39,7 +41,11 @@ module.exports = class StatusController {
         }
     }
 
-    reboot(_request, response) {
+    reboot(request, response) {
+        Audit.record("system.reboot", {
+            ip: request.ip
+        });
+
         Server.reboot();
 
         return response.send({
@@ -47,7 +53,11 @@ module.exports = class StatusController {
         });
     }
 
-    shutdown(_request, response) {
+    shutdown(request, response) {
+        Audit.record("system.shutdown", {
+            ip: request.ip
+        });
+
         Server.shutdown();
 
         return response.send({
@@ -55,7 +65,7 @@ module.exports = class StatusController {
         });
     }
 
-    async update(_request, response) {	
+    async update(request, response) {	
         if (!HBS.admin) {	
             return response.status(403).json({	
                 error: "unauthorized"	
@@ -68,6 +78,10 @@ module.exports = class StatusController {
             });
         }
 
+        Audit.record("system.update", {
+            ip: request.ip
+        });
+
         await Server.update();
 
         return response.send({
@@ -75,8 +89,8 @@ module.exports = class StatusController {
         });
     }
 
-    backup(_request, response) {
-        Server.backup();
+    backup(request, response) {
+        Server.backup(User.session(request.headers.authorization));
 
         return response.send({
             success: true
@@ -95,7 +109,11 @@ module.exports = class StatusController {
         });
 
         form.parse(request, (_error, _fields, files) => {
-            Server.restore(files.file);
+            Audit.record("system.restore", {
+                ip: request.ip
+            });
+
+            Server.restore(files.file, User.session(request.headers.authorization));
 
             return response.send({
                 success: true
@@ -103,14 +121,18 @@ module.exports = class StatusController {
         });
     }
 
-    reset(_request, response) {
+    reset(request, response) {
         if (!HBS.admin) {	
             return response.status(403).json({	
                 error: "unauthorized"	
             });	
         }
 
-        Server.reset();
+        Audit.record("system.reset", {
+            ip: request.ip
+        });
+
+        Server.reset(User.session(request.headers.authorization));
 
         return response.send({
             success: true
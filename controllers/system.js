@@ -20,6 +20,7 @@ const System = require("systeminformation");
 
 const HBS = require("../server/instance");
 const Plugins = require("../server/plugins");
+const Statistics = require("../server/statistics");
 
 module.exports = class SystemController {
     constructor() {
@@ -31,6 +32,7 @@ module.exports = class SystemController {
         HBS.app.get("/api/system/releases", (request, response) => this.releases(request, response));
         HBS.app.get("/api/system/updates", (request, response) => this.updates(request, response));
         HBS.app.get("/api/system/temp", (request, response) => this.temp(request, response));
+        HBS.app.get("/api/system/history", (request, response) => this.history(request, response));
     }
 
     async info(_request, response) {
@@ -69,6 +71,19 @@ module.exports = class SystemController {
         return response.send(await System.cpuTemperature());
     }
 
+    history(request, response) {
+        const ranges = {
+            "24h": 24 * 60 * 60 * 1000,
+            "7d": 7 * 24 * 60 * 60 * 1000,
+            "30d": 30 * 24 * 60 * 60 * 1000
+        };
+
+        const to = parseInt(request.query.to, 10) || new Date().getTime();
+        const from = parseInt(request.query.from, 10) || to - (ranges[request.query.range] || ranges["24h"]);
+
+        return response.send(Statistics.query(from, to, request.query.resolution));
+    }
+
     async memory(_request, response) {
         return response.send({
             information: await System.memLayout(),
@@ -24,6 +24,8 @@ const { join } = require("path");
 const HBS = require("../server/instance");
 const User = require("../server/user");
 const Server = require("../server/server");
+const Sessions = require("../server/sessions");
+const HTTPS = require("../server/https");
 
 module.exports = class UsersController {
     constructor(client) {
@@ -37,6 +39,13 @@ module.exports = class UsersController {
             HBS.app.get("/api/user/:id", (request, response) => this.get(request, response));
             HBS.app.post("/api/user/:id", (request, response) => this.update(request, response));
             HBS.app.delete("/api/user/:id", (request, response) => this.delete(request, response));
+            HBS.app.get("/api/users/:id/keys", (request, response) => this.listKeys(request, response));
+            HBS.app.put("/api/users/:id/keys", (request, response) => this.createKey(request, response));
+            HBS.app.delete("/api/users/:id/keys/:key", (request, response) => this.revokeKey(request, response));
+            HBS.app.get("/api/users/:id/totp", (request, response) => this.totp(request, response));
+            HBS.app.put("/api/users/:id/totp", (request, response) => this.enroll(request, response));
+            HBS.app.post("/api/users/:id/totp", (request, response) => this.confirm(request, response));
+            HBS.app.delete("/api/users/:id/totp", (request, response) => this.disable(request, response));
         }
     }
 
@@ -48,7 +57,9 @@ module.exports = class UsersController {
 
             Request.defaults.headers.get["Authorization"] = request.headers.authorization;
 
-            HBS.users = (await Request.get(`${HBS.config.server.client}/api/auth/sync`)).data;
+            HBS.users = (await Request.get(`${HBS.config.server.client}/api/auth/sync`, {
+                httpsAgent: HTTPS.agent()
+            })).data;
 
             File.appendFileSync(join(Server.paths.config, HBS.name || "", "access.json"), HBS.JSON.toString(HBS.users));
 
@@ -72,6 +83,9 @@ module.exports = class UsersController {
                 id: user.id,
                 name: user.name || "",
                 admin: user.admin || false,
+                role: User.role(user),
+                rooms: Array.isArray(user.rooms) ? user.rooms : null,
+                totp: User.totp(user),
                 username: user.username
             });
         }
@@ -80,6 +94,12 @@ module.exports = class UsersController {
     }
 
     get(request, response) {
+        if (!User.can(User.decode(request.headers.authorization), "users") && HBS.user !== parseInt(request.params.id, 10)) {
+            return response.status(403).json({
+                error: "forbidden"
+            });
+        }
+
         const user = HBS.users.filter(u => u.id === parseInt(request.params.id, 10))[0];
 
         if (!user) {
@@ -92,11 +112,20 @@ module.exports = class UsersController {
             id: user.id,
             name: user.name || "",
             admin: user.admin || false,
+            role: User.role(user),
+            rooms: Array.isArray(user.rooms) ? user.rooms : null,
+            totp: User.totp(user),
             username: user.username
         });
     }
 
     async update(request, response) {
+        if (!User.can(User.decode(request.headers.authorization), "users") && HBS.user !== parseInt(request.params.id, 10)) {
+            return response.status(403).json({
+                error: "forbidden"
+            });
+        }
+
         if (!request.body.username || request.body.username === "" || request.body.username.length < 3) {
             return response.send({
                 error: "Invalid username."
@@ -109,13 +138,15 @@ module.exports = class UsersController {
             });
         }
 
-        if (await User.update(parseInt(request.params.id, 10), request.body.name, request.body.username, request.body.password, request.body.admin)) {
+        if (await User.update(parseInt(request.params.id, 10), request.body.name, request.body.username, request.body.password, request.body.admin, request.body.role, request.body.rooms, User.session(request.headers.authorization))) {
             if (this.client) {
                 const instances = HBS.config.client.instances || [];
 
                 for (let i = 0; i < instances.length; i++) {
                     Request.defaults.headers.get["Authorization"] = request.headers.authorization;
-                    Request.get(`${instances[i]}/api/users/sync`);
+                    Request.get(`${instances[i]}/api/users/sync`, {
+                        httpsAgent: HTTPS.agent()
+                    });
                 }
             }
 
@@ -142,14 +173,16 @@ module.exports = class UsersController {
             });
         }
 
-        await User.create(request.body.name, request.body.username, request.body.password, request.body.admin);
+        await User.create(request.body.name, request.body.username, request.body.password, request.body.admin, request.body.role, request.body.rooms);
 
         if (this.client) {
             const instances = HBS.config.client.instances || [];
 
             for (let i = 0; i < instances.length; i++) {
                 Request.defaults.headers.get["Authorization"] = request.headers.authorization;
-                Request.get(`${instances[i]}/api/users/sync`);
+                Request.get(`${instances[i]}/api/users/sync`, {
+                    httpsAgent: HTTPS.agent()
+                });
             }
         }
 
@@ -170,7 +203,240 @@ module.exports = class UsersController {
 
             for (let i = 0; i < instances.length; i++) {
                 Request.defaults.headers.get["Authorization"] = request.headers.authorization;
-                Request.get(`${instances[i]}/api/users/sync`);
+                Request.get(`${instances[i]}/api/users/sync`, {
+                    httpsAgent: HTTPS.agent()
+                });
+            }
+        }
+
+        return response.send({
+            success: true
+        });
+    }
+
+    listKeys(request, response) {
+        const id = parseInt(request.params.id, 10);
+
+        if (!HBS.admin && HBS.user !== id) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        const keys = User.keys(id);
+
+        if (!keys) {
+            return response.send({
+                error: "User not found"
+            });
+        }
+
+        return response.send(keys);
+    }
+
+    createKey(request, response) {
+        const id = parseInt(request.params.id, 10);
+        const user = HBS.users.filter(u => u.id === id)[0];
+
+        if (!HBS.admin && HBS.user !== id) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        if (!user) {
+            return response.send({
+                error: "User not found"
+            });
+        }
+
+        if (!request.body.name || request.body.name === "") {
+            return response.send({
+                error: "Invalid key name."
+            });
+        }
+
+        if (User.scopes.indexOf(request.body.scope) === -1 || (request.body.scope === "admin" && !user.admin)) {
+            return response.send({
+                error: "Invalid scope."
+            });
+        }
+
+        const key = User.generateKey(id, request.body.name, request.body.scope);
+
+        if (this.client) {
+            const instances = HBS.config.client.instances || [];
+
+            for (let i = 0; i < instances.length; i++) {
+                Request.defaults.headers.get["Authorization"] = request.headers.authorization;
+                Request.get(`${instances[i]}/api/users/sync`, {
+                    httpsAgent: HTTPS.agent()
+                });
+            }
+        }
+
+        return response.send({
+            success: true,
+            key
+        });
+    }
+
+    revokeKey(request, response) {
+        const id = parseInt(request.params.id, 10);
+
+        if (!HBS.admin && HBS.user !== id) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        if (!User.revokeKey(id, request.params.key)) {
+            return response.send({
+                success: false
+            });
+        }
+
+        if (this.client) {
+            const instances = HBS.config.client.instances || [];
+
+            for (let i = 0; i < instances.length; i++) {
+                Request.defaults.headers.get["Authorization"] = request.headers.authorization;
+                Request.get(`${instances[i]}/api/users/sync`, {
+                    httpsAgent: HTTPS.agent()
+                });
+            }
+        }
+
+        return response.send({
+            success: true
+        });
+    }
+
+    totp(request, response) {
+        const id = parseInt(request.params.id, 10);
+        const user = HBS.users.filter(u => u.id === id)[0];
+
+        if (!User.can(User.decode(request.headers.authorization), "users") && HBS.user !== id) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        if (!user) {
+            return response.send({
+                error: "User not found"
+            });
+        }
+
+        return response.send({
+            enabled: User.totp(user),
+            required: !!(user.admin && (HBS.config.server || {}).require_2fa_admin),
+            recovery: User.totp(user) ? (user.totp.recovery || []).length : 0
+        });
+    }
+
+    enroll(request, response) {
+        const id = parseInt(request.params.id, 10);
+
+        if (HBS.user !== id) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        const enrollment = User.enroll(id);
+
+        if (!enrollment) {
+            return response.send({
+                error: "Two-factor authentication is already enabled."
+            });
+        }
+
+        return response.send({
+            success: true,
+            secret: enrollment.secret,
+            uri: enrollment.uri
+        });
+    }
+
+    async confirm(request, response) {
+        const id = parseInt(request.params.id, 10);
+
+        if (HBS.user !== id) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        const recovery = User.confirm(id, request.body.code);
+
+        if (!recovery) {
+            return response.send({
+                error: "Invalid verification code."
+            });
+        }
+
+        if (this.client) {
+            const instances = HBS.config.client.instances || [];
+
+            for (let i = 0; i < instances.length; i++) {
+                Request.defaults.headers.get["Authorization"] = request.headers.authorization;
+                Request.get(`${instances[i]}/api/users/sync`, {
+                    httpsAgent: HTTPS.agent()
+                });
+            }
+        }
+
+        const current = User.payload(request.headers.authorization) || {};
+
+        Sessions.revoke(current.sid);
+
+        return response.send({
+            success: true,
+            recovery,
+            token: await User.generateToken(id, current.ttl === 525600, {
+                ip: request.ip,
+                agent: request.headers["user-agent"]
+            })
+        });
+    }
+
+    disable(request, response) {
+        const id = parseInt(request.params.id, 10);
+        const user = HBS.users.filter(u => u.id === id)[0];
+
+        if (!User.can(User.decode(request.headers.authorization), "users") && HBS.user !== id) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        if (!user) {
+            return response.send({
+                error: "User not found"
+            });
+        }
+
+        if (HBS.user === id && User.totp(user) && !User.challenge(user, request.body.code)) {
+            return response.send({
+                error: "Invalid verification code."
+            });
+        }
+
+        if (!User.disable(id)) {
+            return response.send({
+                success: false
+            });
+        }
+
+        if (this.client) {
+            const instances = HBS.config.client.instances || [];
+
+            for (let i = 0; i < instances.length; i++) {
+                Request.defaults.headers.get["Authorization"] = request.headers.authorization;
+                Request.get(`${instances[i]}/api/users/sync`, {
+                    httpsAgent: HTTPS.agent()
+                });
             }
         }
 
@@ -0,0 +1,170 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const HBS = require("../server/instance");
+const Webhooks = require("../server/webhooks");
+
+module.exports = class WebhooksController {
+    constructor() {
+        HBS.app.get("/api/webhooks", (request, response) => this.list(request, response));
+        HBS.app.put("/api/webhooks", (request, response) => this.create(request, response));
+        HBS.app.get("/api/webhooks/events", (request, response) => this.events(request, response));
+        HBS.app.get("/api/webhook/:id", (request, response) => this.get(request, response));
+        HBS.app.post("/api/webhook/:id", (request, response) => this.update(request, response));
+        HBS.app.delete("/api/webhook/:id", (request, response) => this.delete(request, response));
+        HBS.app.post("/api/webhook/:id/test", (request, response) => this.test(request, response));
+        HBS.app.get("/api/webhook/:id/deliveries", (request, response) => this.deliveries(request, response));
+    }
+
+    list(_request, response) {
+        if (!HBS.admin) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        return response.send(HBS.webhooks);
+    }
+
+    events(_request, response) {
+        return response.send(Webhooks.events);
+    }
+
+    get(request, response) {
+        if (!HBS.admin) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        const webhook = Webhooks.get(parseInt(request.params.id, 10));
+
+        if (!webhook) {
+            return response.send({
+                error: "Webhook not found"
+            });
+        }
+
+        return response.send(webhook);
+    }
+
+    create(request, response) {
+        if (!HBS.admin) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        const error = Webhooks.validate(request.body);
+
+        if (error) {
+            return response.send({
+                error
+            });
+        }
+
+        return response.send({
+            success: true,
+            webhook: Webhooks.create(request.body)
+        });
+    }
+
+    update(request, response) {
+        if (!HBS.admin) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        const error = Webhooks.validate(request.body);
+
+        if (error) {
+            return response.send({
+                error
+            });
+        }
+
+        const webhook = Webhooks.update(parseInt(request.params.id, 10), request.body);
+
+        if (!webhook) {
+            return response.send({
+                error: "Webhook not found"
+            });
+        }
+
+        return response.send({
+            success: true,
+            webhook
+        });
+    }
+
+    delete(request, response) {
+        if (!HBS.admin) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        return response.send({
+            success: Webhooks.delete(parseInt(request.params.id, 10))
+        });
+    }
+
+    async test(request, response) {
+        if (!HBS.admin) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        const webhook = Webhooks.get(parseInt(request.params.id, 10));
+
+        if (!webhook) {
+            return response.send({
+                error: "Webhook not found"
+            });
+        }
+
+        const delivery = await Webhooks.deliver(webhook, "test", {
+            message: "This is a test event from HOOBS."
+        });
+
+        return response.send({
+            success: delivery.success,
+            delivery
+        });
+    }
+
+    deliveries(request, response) {
+        if (!HBS.admin) {
+            return response.status(403).json({
+                error: "unauthorized"
+            });
+        }
+
+        const webhook = Webhooks.get(parseInt(request.params.id, 10));
+
+        if (!webhook) {
+            return response.send({
+                error: "Webhook not found"
+            });
+        }
+
+        return response.send(Webhooks.deliveries(webhook.id).slice(-(Math.min(parseInt(request.query.count, 10) || 50, 100))).reverse());
+    }
+}
@@ -30,6 +30,18 @@ const Cache = require("./cache");
 const HBS = require("./instance");
 const Server = require("./server");
 const Monitor = require("./monitor");
+const Sockets = require("./sockets");
+const Automations = require("./automations");
+const History = require("./history");
+const Jobs = require("./jobs");
+const Rollback = require("./rollback");
+const Watchdog = require("./watchdog");
+const Secrets = require("./secrets");
+const MQTT = require("./mqtt");
+const Webhooks = require("./webhooks");
+const Audit = require("./audit");
+const Sessions = require("./sessions");
+const HTTPS = require("./https");
 
 const { join, resolve } = require("path");
 
@@ -41,74 +53,102 @@ module.exports = class API {
         HBS.admin = false;
         HBS.cache = new Cache();
         HBS.users = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "access.json"), []);
+        HBS.sessions = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "sessions.json"), []);
+        HBS.scenes = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "scenes.json"), []);
+        HBS.automations = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "automations.json"), []);
+        HBS.schedules = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "schedules.json"), []);
+        HBS.jobs = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "jobs.json"), []);
+        HBS.crashes = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "crashes.json"), []);
+        HBS.webhooks = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "webhooks.json"), []);
         HBS.app = Express();
 
-        this.shell = null;
-        this.socket = Socket(HBS.app);
+        this.server = HTTPS.create(HBS.app);
+        this.socket = Socket(HBS.app, this.server);
 
         HBS.log = require("./logger")(this.socket);
 
-        this.socket.app.ws("/shell", (ws, request) => {
-            if (User.validateToken(request.query.a) && User.decode(request.query.a).admin) {
-                if (!this.shell) {
-                    try {
-                        if (File.existsSync("/etc/ssl/certs/cacert.pem")) {
-                            this.shell = Pty.spawn(process.env.SHELL || "sh", [], {
-                                name: "xterm-color",
-                                cwd: Server.paths.config,
-                                env: _.create(process.env, {
-                                    PATH: `${process.env["PATH"]}:${join(Server.paths.modules.local, ".bin")}`,
-                                    SSL_CERT_FILE: "/etc/ssl/certs/cacert.pem"
-                                })
-                            });
-                        } else {
-                            this.shell = Pty.spawn(process.env.SHELL || "sh", [], {
-                                name: "xterm-color",
-                                cwd: Server.paths.config,
-                                env: _.create(process.env, {
-                                    PATH: `${process.env["PATH"]}:${join(Server.paths.modules.local, ".bin")}`
-                                })
-                            });
-                        }
-                    } catch (error) {
-                        this.shell = null;
-
-                        HBS.log.push.error("Terminal", "Enable to start terminal");
-
-                        HBS.log.error(error.message);
-                        HBS.log.debug(error.stack);
-                    }
+        this.socket.app.ws("/shell", async (ws, request) => {
+            const queue = [];
+
+            let shell = null;
+            let closed = false;
+
+            ws.on("message", (data) => {
+                if (!shell) {
+                    queue.push(data);
+                } else {
+                    this.command(shell, data);
                 }
+            });
 
-                if (this.shell) {
-                    HBS.log.push.info("Terminal", "Terminal started");
+            ws.on("close", () => {
+                closed = true;
 
-                    this.shell.on("data", (data) => {
-                        if (ws.readyState === 1) {
-                            ws.send(data);
-                        }
-                    });
+                if (shell) {
+                    shell.destroy();
+                    shell = null;
+                }
+            });
+
+            Sockets.watch(ws);
 
-                    ws.on("message", (data) => {
-                        switch (data) {
-                            case "{CLEAR}":
-                                this.shell.write("clear\r");
-                                break;
+            if (!(await User.validateToken(request.query.a, request.ip)) || !User.can(User.decode(request.query.a), "system") || closed) {
+                return ws.close();
+            }
 
-                            case "{EXIT}":
-                                HBS.log.push.warning("Terminal", "Terminal stopped");
+            Sockets.bind(ws, User.payload(request.query.a).sid, request.query.a);
 
-                                this.shell.write('exit\r');
-                                this.shell.destroy();
-                                this.shell = null;
-                                break;
+            Audit.record("terminal.open", {
+                user: Audit.user(User.decode(request.query.a).id),
+                ip: request.ip
+            });
 
-                            default:
-                                this.shell.write(data);
-                                break;
-                        }
+            try {
+                if (File.existsSync("/etc/ssl/certs/cacert.pem")) {
+                    shell = Pty.spawn(process.env.SHELL || "sh", [], {
+                        name: "xterm-color",
+                        cwd: Server.paths.config,
+                        env: _.create(process.env, {
+                            PATH: `${process.env["PATH"]}:${join(Server.paths.modules.local, ".bin")}`,
+                            SSL_CERT_FILE: "/etc/ssl/certs/cacert.pem"
+                        })
                     });
+                } else {
+                    shell = Pty.spawn(process.env.SHELL || "sh", [], {
+                        name: "xterm-color",
+                        cwd: Server.paths.config,
+                        env: _.create(process.env, {
+                            PATH: `${process.env["PATH"]}:${join(Server.paths.modules.local, ".bin")}`
+                        })
+                    });
+                }
+            } catch (error) {
+                shell = null;
+
+                HBS.log.push.error("Terminal", "Enable to start terminal");
+
+                HBS.log.error(error.message);
+                HBS.log.debug(error.stack);
+
+                return ws.close();
+            }
+
+            HBS.log.push.info("Terminal", "Terminal started");
+
+            shell.on("data", (data) => {
+                if (ws.readyState === 1) {
+                    ws.send(data);
+                }
+            });
+
+            shell.on("exit", () => {
+                if (ws.readyState === 1) {
+                    ws.close();
                 }
+            });
+
+            while (queue.length > 0) {
+                this.command(shell, queue.shift());
             }
         });
 
@@ -136,12 +176,18 @@ module.exports = class API {
         ];
 
         HBS.app.use(async function(request, response, next) {
-            if (request.url.indexOf("/api") === 0 && publicRoutes.indexOf(request.url) === -1 && (!request.headers.authorization || !(await User.validateToken(request.headers.authorization)))) {
+            if (request.url.indexOf("/api") === 0 && publicRoutes.indexOf(request.url) === -1 && (!request.headers.authorization || !(await User.authorize(request.headers.authorization, request.method, request.path, request.ip)))) {
                 return response.status(403).json({
                     error: "unauthorized"
                 });
             }
 
+            if (request.url.indexOf("/api") === 0 && publicRoutes.indexOf(request.url) === -1 && !User.permitted(User.decode(request.headers.authorization), request.method, request.path)) {
+                return response.status(403).json({
+                    error: "forbidden"
+                });
+            }
+
             next();
         });
 
@@ -170,10 +216,19 @@ module.exports = class API {
             status: new (require("../controllers/status"))(false),
             config: new (require("../controllers/config"))(false),
             system: new (require("../controllers/system"))(),
+            log: new (require("../controllers/log"))(),
             service: new (require("../controllers/service"))(),
             plugins: new (require("../controllers/plugins"))(),
+            jobs: new (require("../controllers/jobs"))(),
             accessories: new (require("../controllers/accessories"))(),
             layout: new (require("../controllers/layout"))(),
+            scenes: new (require("../controllers/scenes"))(),
+            automations: new (require("../controllers/automations"))(),
+            schedules: new (require("../controllers/schedules"))(),
+            metrics: new (require("../controllers/metrics"))(),
+            webhooks: new (require("../controllers/webhooks"))(),
+            audit: new (require("../controllers/audit"))(),
+            sessions: new (require("../controllers/sessions"))(),
             cockpit: new (require("../controllers/cockpit"))()
         }
 
@@ -187,17 +242,55 @@ module.exports = class API {
         }
     }
 
+    command(shell, data) {
+        switch (data) {
+            case "{CLEAR}":
+                shell.write("clear\r");
+                break;
+
+            case "{EXIT}":
+                HBS.log.push.warning("Terminal", "Terminal stopped");
+
+                shell.write("exit\r");
+                break;
+
+            default:
+                shell.write(data);
+                break;
+        }
+    }
+
     start() {
-        HBS.app.listen(this.port, () => {
-            HBS.log.info(`HOOBS listening on port ${this.port || 80}.`);
+        this.server.listen(this.port, () => {
+            HBS.log.info(`HOOBS listening on port ${this.port || 80}${HTTPS.settings.enabled ? " (HTTPS)" : ""}.`);
         });
 
+        HTTPS.redirect(this.port);
+
         HBS.server.on("update", () => {
             setTimeout(() => {
                 HBS.log.update();
             }, 250);
         });
 
+        HBS.server.on("characteristic", (data) => {
+            HBS.log.characteristic(data);
+
+            Automations.process(data);
+            History.record(data);
+            MQTT.process(data);
+            Webhooks.process(data);
+        });
+
         Monitor();
+        Automations.start();
+        History.start();
+        MQTT.start();
+        Webhooks.start();
+        Rollback.start();
+        Watchdog.start();
+        Secrets.start();
+        Sessions.prune();
+        Jobs.start();
     }
 }
@@ -0,0 +1,137 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const File = require("fs-extra");
+
+const HBS = require("./instance");
+const Server = require("./server");
+const Logs = require("./logs");
+
+const { join } = require("path");
+
+const size = 5 * 1024 * 1024;
+const keep = 3;
+
+module.exports = class Audit {
+    static get path() {
+        return join(Server.paths.config, HBS.name || "", "audit.log");
+    }
+
+    static user(id) {
+        const user = (HBS.users || []).filter(u => u.id === id)[0];
+
+        if (!user) {
+            return null;
+        }
+
+        return {
+            id: user.id,
+            username: user.username
+        };
+    }
+
+    static record(action, details) {
+        const entry = Object.assign({
+            time: new Date().getTime(),
+            action,
+            user: Audit.user(HBS.user)
+        }, details || {});
+
+        try {
+            Audit.rotate();
+
+            File.appendFileSync(Audit.path, `${JSON.stringify(entry)}\n`);
+        } catch (error) {
+            if (HBS.log) {
+                HBS.log.error(`[Audit] ${error.message}`);
+            }
+        }
+
+        return entry;
+    }
+
+    static rotate() {
+        if (!File.existsSync(Audit.path) || File.statSync(Audit.path).size < size) {
+            return;
+        }
+
+        for (let i = keep - 1; i >= 1; i--) {
+            if (File.existsSync(`${Audit.path}.${i}`)) {
+                File.moveSync(`${Audit.path}.${i}`, `${Audit.path}.${i + 1}`, {
+                    overwrite: true
+                });
+            }
+        }
+
+        File.moveSync(Audit.path, `${Audit.path}.1`, {
+            overwrite: true
+        });
+    }
+
+    static files() {
+        const results = [Audit.path];
+
+        for (let i = 1; i <= keep; i++) {
+            results.push(`${Audit.path}.${i}`);
+        }
+
+        return results.filter(f => File.existsSync(f));
+    }
+
+    static list(filter) {
+        filter = filter || {};
+
+        const files = Audit.files();
+        const limit = parseInt(filter.limit, 10) || 100;
+        const since = parseInt(filter.since, 10) || 0;
+        const before = parseInt(filter.before, 10) || Infinity;
+        const results = [];
+
+        const visit = (line) => {
+            const entry = HBS.JSON.tryParse(line);
+
+            if (!entry || entry.time >= before) {
+                return true;
+            }
+
+            if (entry.time < since) {
+                return false;
+            }
+
+            if (filter.action && entry.action !== filter.action && entry.action.indexOf(`${filter.action}.`) !== 0) {
+                return true;
+            }
+
+            if (filter.user && (!entry.user || entry.user.username !== filter.user) && entry.username !== filter.user) {
+                return true;
+            }
+
+            results.push(entry);
+
+            return results.length < limit;
+        };
+
+        for (let i = 0; i < files.length; i++) {
+            if (Logs.reverse(files[i], visit) === false) {
+                break;
+            }
+        }
+
+        return results;
+    }
+}
@@ -0,0 +1,457 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const File = require("fs-extra");
+
+const HBS = require("./instance");
+const HapClient = require("./hap-client");
+const Scenes = require("./scenes");
+const Server = require("./server");
+
+const { join } = require("path");
+
+const triggers = ["characteristic", "time"];
+const conditions = ["characteristic", "time", "days"];
+const actions = ["set", "scene"];
+const operators = ["changed", "equals", "not_equals", "above", "below"];
+const timers = {};
+
+let timer = null;
+
+module.exports = class Automations {
+    static get(id) {
+        return HBS.automations.filter(a => a.id === id)[0];
+    }
+
+    static create(rule) {
+        const automation = {
+            id: 1,
+            ...Automations.normalize(rule)
+        };
+
+        if (HBS.automations.length > 0) {
+            automation.id = HBS.automations[HBS.automations.length - 1].id + 1;
+        }
+
+        HBS.automations.push(automation);
+
+        Automations.save();
+
+        return automation;
+    }
+
+    static update(id, rule) {
+        const index = HBS.automations.findIndex(a => a.id === id);
+
+        if (index >= 0) {
+            Automations.cancel(id);
+
+            HBS.automations[index] = {
+                id,
+                ...Automations.normalize(rule)
+            };
+
+            Automations.save();
+
+            return HBS.automations[index];
+        }
+
+        return false;
+    }
+
+    static delete(id) {
+        const index = HBS.automations.findIndex(a => a.id === id);
+
+        if (index >= 0) {
+            Automations.cancel(id);
+            HBS.automations.splice(index, 1);
+
+            Automations.save();
+
+            return true;
+        }
+
+        return false;
+    }
+
+    static save() {
+        if (File.existsSync(join(Server.paths.config, HBS.name || "", "automations.json"))) {
+            File.unlinkSync(join(Server.paths.config, HBS.name || "", "automations.json"));
+        }
+
+        File.appendFileSync(join(Server.paths.config, HBS.name || "", "automations.json"), HBS.JSON.toString(HBS.automations));
+    }
+
+    static validate(rule) {
+        if (!rule || !rule.name || rule.name === "") {
+            return "Invalid automation name.";
+        }
+
+        if (!rule.trigger || triggers.indexOf(rule.trigger.type) === -1) {
+            return "Invalid trigger.";
+        }
+
+        if (rule.trigger.type === "characteristic" && (!rule.trigger.aid || !rule.trigger.iid || operators.indexOf(rule.trigger.operator || "changed") === -1)) {
+            return "Invalid characteristic trigger.";
+        }
+
+        if (rule.trigger.type === "time" && Automations.minutes(rule.trigger.time) === null) {
+            return "Invalid trigger time.";
+        }
+
+        const rules = rule.conditions || [];
+
+        for (let i = 0; i < rules.length; i++) {
+            if (conditions.indexOf(rules[i].type) === -1) {
+                return "Invalid condition.";
+            }
+
+            if (rules[i].type === "time" && (Automations.minutes(rules[i].from) === null || Automations.minutes(rules[i].to) === null)) {
+                return "Invalid time condition.";
+            }
+
+            if (rules[i].type === "characteristic" && (!rules[i].aid || !rules[i].iid || operators.indexOf(rules[i].operator || "equals") <= 0)) {
+                return "Invalid characteristic condition.";
+            }
+        }
+
+        if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+            return "No actions defined.";
+        }
+
+        for (let i = 0; i < rule.actions.length; i++) {
+            if (actions.indexOf(rule.actions[i].type) === -1) {
+                return "Invalid action.";
+            }
+
+            if (rule.actions[i].type === "set" && (!rule.actions[i].aid || !rule.actions[i].iid)) {
+                return "Invalid set action.";
+            }
+
+            if (rule.actions[i].type === "scene" && !Scenes.get(parseInt(rule.actions[i].scene, 10))) {
+                return "Invalid scene action.";
+            }
+        }
+
+        return null;
+    }
+
+    static normalize(rule) {
+        const trigger = {
+            type: rule.trigger.type
+        };
+
+        if (trigger.type === "characteristic") {
+            trigger.aid = parseInt(rule.trigger.aid, 10);
+            trigger.iid = parseInt(rule.trigger.iid, 10);
+            trigger.operator = rule.trigger.operator || "changed";
+            trigger.value = Automations.parse(rule.trigger.value);
+        } else {
+            trigger.time = rule.trigger.time;
+            trigger.days = (rule.trigger.days || []).map(d => parseInt(d, 10));
+        }
+
+        return {
+            name: rule.name,
+            enabled: rule.enabled !== false,
+            dry_run: rule.dry_run === true,
+            trigger,
+            conditions: (rule.conditions || []).map((condition) => {
+                switch (condition.type) {
+                    case "characteristic":
+                        return {
+                            type: condition.type,
+                            aid: parseInt(condition.aid, 10),
+                            iid: parseInt(condition.iid, 10),
+                            operator: condition.operator || "equals",
+                            value: Automations.parse(condition.value)
+                        };
+
+                    case "days":
+                        return {
+                            type: condition.type,
+                            days: (condition.days || []).map(d => parseInt(d, 10))
+                        };
+
+                    default:
+                        return {
+                            type: condition.type,
+                            from: condition.from,
+                            to: condition.to
+                        };
+                }
+            }),
+            actions: rule.actions.map((action) => {
+                if (action.type === "scene") {
+                    return {
+                        type: action.type,
+                        scene: parseInt(action.scene, 10)
+                    };
+                }
+
+                return {
+                    type: action.type,
+                    aid: parseInt(action.aid, 10),
+                    iid: parseInt(action.iid, 10),
+                    value: Automations.parse(action.value),
+                    duration: parseInt(action.duration, 10) || 0
+                };
+            })
+        };
+    }
+
+    static parse(value) {
+        if (typeof value !== "string") {
+            return value;
+        }
+
+        if (value.toLowerCase() === "true" || value.toLowerCase() === "false") {
+            return value.toLowerCase() === "true";
+        }
+
+        if (value.trim() !== "" && !Number.isNaN(Number(value))) {
+            return Number(value);
+        }
+
+        return value;
+    }
+
+    static minutes(value) {
+        const match = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/.exec(`${value || ""}`.trim());
+
+        if (!match) {
+            return null;
+        }
+
+        return (parseInt(match[1], 10) * 60) + parseInt(match[2], 10);
+    }
+
+    static compare(operator, value, expected, previous) {
+        const numeric = (item) => {
+            if (typeof item === "boolean") {
+                return item ? 1 : 0;
+            }
+
+            return Number(item);
+        };
+
+        switch (operator) {
+            case "changed":
+                return previous === undefined || !Automations.compare("equals", value, previous);
+
+            case "equals":
+                if (!Number.isNaN(numeric(value)) && !Number.isNaN(numeric(expected))) {
+                    return numeric(value) === numeric(expected);
+                }
+
+                return `${value}` === `${expected}`;
+
+            case "not_equals":
+                return !Automations.compare("equals", value, expected);
+
+            case "above":
+                return numeric(value) > numeric(expected);
+
+            case "below":
+                return numeric(value) < numeric(expected);
+
+            default:
+                return false;
+        }
+    }
+
+    static start() {
+        const now = new Date();
+
+        Automations.stop();
+
+        timer = setTimeout(() => {
+            Automations.tick();
+            Automations.start();
+        }, 60000 - ((now.getSeconds() * 1000) + now.getMilliseconds()));
+    }
+
+    static stop() {
+        if (timer) {
+            clearTimeout(timer);
+        }
+
+        timer = null;
+    }
+
+    static tick() {
+        const now = new Date();
+        const current = (now.getHours() * 60) + now.getMinutes();
+        const rules = (HBS.automations || []).filter(a => a.enabled && a.trigger.type === "time");
+
+        for (let i = 0; i < rules.length; i++) {
+            const days = rules[i].trigger.days || [];
+
+            if (Automations.minutes(rules[i].trigger.time) === current && (days.length === 0 || days.indexOf(now.getDay()) >= 0)) {
+                Automations.run(rules[i], `time ${rules[i].trigger.time}`);
+            }
+        }
+    }
+
+    static process(change) {
+        const rules = (HBS.automations || []).filter(a => a.enabled && a.trigger.type === "characteristic");
+
+        for (let i = 0; i < rules.length; i++) {
+            const trigger = rules[i].trigger;
+
+            if (trigger.aid === change.aid && trigger.iid === change.iid && Automations.compare(trigger.operator, change.value, trigger.value, change.old_value)) {
+                Automations.run(rules[i], `${change.aid}.${change.iid} = ${change.value}`);
+            }
+        }
+    }
+
+    static async run(rule, reason) {
+        if (!HBS.server || !HBS.server.running) {
+            return false;
+        }
+
+        try {
+            if (!(await Automations.check(rule))) {
+                HBS.log.debug(`[Automation] "${rule.name}" conditions not met (${reason})`);
+
+                return false;
+            }
+
+            HBS.log.info(`[Automation] "${rule.name}" triggered by ${reason}${rule.dry_run ? " (dry run)" : ""}`);
+
+            for (let i = 0; i < rule.actions.length; i++) {
+                await Automations.execute(rule, rule.actions[i], i);
+            }
+
+            return true;
+        } catch (error) {
+            HBS.log.error(`[Automation] "${rule.name}" ${error.message}`);
+            HBS.log.debug(error.stack);
+
+            return false;
+        }
+    }
+
+    static async check(rule) {
+        const hap = new HapClient();
+        const now = new Date();
+        const current = (now.getHours() * 60) + now.getMinutes();
+
+        for (let i = 0; i < (rule.conditions || []).length; i++) {
+            const condition = rule.conditions[i];
+
+            switch (condition.type) {
+                case "time":
+                    const from = Automations.minutes(condition.from);
+                    const to = Automations.minutes(condition.to);
+
+                    if (from <= to && (current < from || current >= to)) {
+                        return false;
+                    }
+
+                    if (from > to && current < from && current >= to) {
+                        return false;
+                    }
+
+                    break;
+
+                case "days":
+                    if ((condition.days || []).length > 0 && condition.days.indexOf(now.getDay()) === -1) {
+                        return false;
+                    }
+
+                    break;
+
+                case "characteristic":
+                    if (!Automations.compare(condition.operator, await hap.read(condition.aid, condition.iid), condition.value)) {
+                        return false;
+                    }
+
+                    break;
+            }
+        }
+
+        return true;
+    }
+
+    static async execute(rule, action, index) {
+        const hap = new HapClient();
+        const key = `${rule.id}/${index}`;
+
+        if (action.type === "scene") {
+            const scene = Scenes.get(action.scene);
+
+            if (rule.dry_run) {
+                HBS.log.info(`[Automation] "${rule.name}" would apply scene "${(scene || {}).name || action.scene}"`);
+            } else {
+                await Scenes.apply(action.scene);
+            }
+
+            return;
+        }
+
+        if (rule.dry_run) {
+            HBS.log.info(`[Automation] "${rule.name}" would set ${action.aid}.${action.iid} to ${action.value}${action.duration > 0 ? ` for ${action.duration} minutes` : ""}`);
+
+            return;
+        }
+
+        let previous;
+
+        if (action.duration > 0) {
+            if (timers[key]) {
+                clearTimeout(timers[key].timer);
+
+                previous = timers[key].value;
+            } else {
+                previous = await hap.read(action.aid, action.iid);
+            }
+        }
+
+        await hap.write(action.aid, [{
+            iid: action.iid,
+            value: action.value
+        }]);
+
+        if (action.duration > 0 && previous !== undefined) {
+            timers[key] = {
+                value: previous,
+                timer: setTimeout(() => {
+                    delete timers[key];
+
+                    hap.write(action.aid, [{
+                        iid: action.iid,
+                        value: previous
+                    }]).catch((error) => {
+                        HBS.log.error(`[Automation] "${rule.name}" ${error.message}`);
+                    });
+                }, action.duration * 60 * 1000)
+            };
+        }
+    }
+
+    static cancel(id) {
+        const keys = Object.keys(timers).filter(k => k.startsWith(`${id}/`));
+
+        for (let i = 0; i < keys.length; i++) {
+            clearTimeout(timers[keys[i]].timer);
+
+            delete timers[keys[i]];
+        }
+    }
+}
@@ -20,7 +20,10 @@ const Program = require("commander");
 
 const HBS = require("./instance");
 const API = require("./api");
+const Automations = require("./automations");
 const Client = require("./client");
+const History = require("./history");
+const Schedules = require("./schedules");
 const Server = require("./server");
 
 const { join } = require("path");
@@ -31,19 +34,29 @@ const teardown = function teardown(status) {
             HBS.log.info("[HOOBS] Stopping server.");
         }
 
+        Automations.stop();
+        Schedules.stop();
+        History.stop();
+
         HBS.api = null;
         HBS.app = null;
         HBS.application = null;
+        HBS.automations = null;
         HBS.cache = null;
         HBS.client = null;
         HBS.config = null;
         HBS.controllers = null;
+        HBS.crashes = null;
+        HBS.jobs = null;
         HBS.layout = null;
         HBS.log = null;
         HBS.options = null;
+        HBS.scenes = null;
+        HBS.schedules = null;
         HBS.server = null;
         HBS.user = null;
         HBS.users = null;
+        HBS.webhooks = null;
         HBS.cpmod = null;
     }
 
@@ -130,6 +143,8 @@ module.exports = async (docker) => {
             });
 
             HBS.api.start();
+
+            Schedules.start();
             
             if (!Number.isNaN(parseInt(HBS.config.server.autostart))) {
                 setTimeout(() => {
@@ -171,6 +186,8 @@ module.exports = async (docker) => {
 
             HBS.api.start();
 
+            Schedules.start();
+
             if (!Number.isNaN(parseInt(HBS.config.server.autostart))) {
                 setTimeout(() => {
                     HBS.server.start();
@@ -25,6 +25,7 @@ const User = require("./user");
 const Cache = require("./cache");
 const HBS = require("./instance");
 const Server = require("./server");
+const HTTPS = require("./https");
 
 const { join, resolve } = require("path");
 
@@ -36,9 +37,12 @@ module.exports = class Client {
         HBS.admin = false;
         HBS.cache = new Cache();
         HBS.users = HBS.JSON.load(join(Server.paths.config, "access.json"), []);
+        HBS.sessions = HBS.JSON.load(join(Server.paths.config, "sessions.json"), []);
         HBS.log = require("./logger-client")();
         HBS.app = Express();
 
+        this.server = HTTPS.create(HBS.app);
+
         HBS.app.use(CORS({
             origin: HBS.config.server.origin
         }));
@@ -62,12 +66,18 @@ module.exports = class Client {
         ];
 
         HBS.app.use(async function(request, response, next) {
-            if (request.url.indexOf("/api") === 0 && publicRoutes.indexOf(request.url) === -1 && (!request.headers.authorization || !(await User.validateToken(request.headers.authorization)))) {
+            if (request.url.indexOf("/api") === 0 && publicRoutes.indexOf(request.url) === -1 && (!request.headers.authorization || !(await User.authorize(request.headers.authorization, request.method, request.path, request.ip)))) {
                 return response.status(403).json({
                     error: "unauthorized"
                 });
             }
 
+            if (request.url.indexOf("/api") === 0 && publicRoutes.indexOf(request.url) === -1 && !User.permitted(User.decode(request.headers.authorization), request.method, request.path)) {
+                return response.status(403).json({
+                    error: "forbidden"
+                });
+            }
+
             next();
         });
 
@@ -92,7 +102,9 @@ module.exports = class Client {
             auth: new (require("../controllers/auth"))(true),
             users: new (require("../controllers/users"))(true),
             status: new (require("../controllers/status"))(true),
-            config: new (require("../controllers/config"))(true)
+            config: new (require("../controllers/config"))(true),
+            audit: new (require("../controllers/audit"))(),
+            sessions: new (require("../controllers/sessions"))()
         }
 
         HBS.app.use(Express.static(Server.paths.interface));
@@ -103,8 +115,10 @@ module.exports = class Client {
     }
 
     start() {
-        HBS.app.listen(this.port, () => {
-            HBS.log.info(`HOOBS listening on port ${this.port || 80}.`);
+        this.server.listen(this.port, () => {
+            HBS.log.info(`HOOBS listening on port ${this.port || 80}${HTTPS.settings.enabled ? " (HTTPS)" : ""}.`);
         });
+
+        HTTPS.redirect(this.port);
     }
 }
@@ -21,9 +21,44 @@
 const Request = require("axios");
 
 const HBS = require("./instance");
+const Server = require("./server");
 const types = require("./types");
 
 module.exports = class HapClient {
+    static bridges() {
+        const results = [{
+            bridge: null,
+            port: HBS.config.bridge.port,
+            offset: 0
+        }];
+
+        const isolated = Server.isolated(HBS.config);
+
+        for (let i = 0; i < isolated.length; i++) {
+            const settings = (HBS.config.bridges || {})[isolated[i]] || {};
+
+            if (settings.port && settings.offset) {
+                results.push({
+                    bridge: isolated[i],
+                    port: settings.port,
+                    offset: settings.offset
+                });
+            }
+        }
+
+        return results;
+    }
+
+    static route(aid) {
+        const bridges = HapClient.bridges().sort((a, b) => b.offset - a.offset);
+        const bridge = bridges.find(b => aid > b.offset) || bridges[bridges.length - 1];
+
+        return {
+            port: bridge.port,
+            aid: aid - bridge.offset
+        };
+    }
+
     accessories(aid) {
         return new Promise((resolve, reject) => {
             const key = "hap/accessories";
@@ -32,10 +67,30 @@ module.exports = class HapClient {
             if (cached) {
                 resolve(aid ? this.process(cached).find(a => a.aid === aid) : this.process(cached));
             } else {
-                Request.get(`http://127.0.0.1:${HBS.config.bridge.port}/accessories`).then((response) => {
-                    HBS.cache.set(key, response.data.accessories, 30);
+                const bridges = HapClient.bridges();
+
+                Promise.all(bridges.map(b => Request.get(`http://127.0.0.1:${b.port}/accessories`).catch((error) => {
+                    if (!b.bridge) {
+                        throw error;
+                    }
+
+                    return null;
+                }))).then((responses) => {
+                    let accessories = [];
+
+                    for (let i = 0; i < responses.length; i++) {
+                        if (responses[i]) {
+                            accessories = accessories.concat(((responses[i].data || {}).accessories || []).map(a => ({
+                                ...a,
+                                aid: a.aid + bridges[i].offset,
+                                bridge: bridges[i].bridge
+                            })));
+                        }
+                    }
 
-                    resolve(aid ? this.process(response.data.accessories).find(a => a.aid === aid) : this.process(response.data.accessories));
+                    HBS.cache.set(key, accessories, 30);
+
+                    resolve(aid ? this.process(accessories).find(a => a.aid === aid) : this.process(accessories));
                 }).catch((error) => {
                     reject(error);
                 });
@@ -107,6 +162,7 @@ module.exports = class HapClient {
 
                     const service = {
                         aid: accessories[i].aid,
+                        bridge: accessories[i].bridge || null,
                         uuid: accessories[i].services[j].type,
                         type: types.services[accessories[i].services[j].type],
                         type_name: this.humanize(types.services[accessories[i].services[j].type]),
@@ -175,8 +231,10 @@ module.exports = class HapClient {
     }
 
     refresh(service) {
+        const route = HapClient.route(service.aid);
+
         return new Promise((resolve, reject) => {
-            Request.get(`http://127.0.0.1:${HBS.config.bridge.port}/characteristics?id=${service.characteristics.map(c => `${service.aid}.${c.iid}`).join(",")}`).then((response) => {
+            Request.get(`http://127.0.0.1:${route.port}/characteristics?id=${service.characteristics.map(c => `${route.aid}.${c.iid}`).join(",")}`).then((response) => {
                 for (let i = 0; i < response.data.characteristics.length; i++) {
                     const index = service.characteristics.findIndex(x => x.iid === response.data.characteristics[i].iid && x.aid === service.aid);
 
@@ -192,8 +250,10 @@ module.exports = class HapClient {
     }
 
     get(service, iid) {
+        const route = HapClient.route(service.aid);
+
         return new Promise((resolve, reject) => {
-            Request.get(`http://127.0.0.1:${HBS.config.bridge.port}/characteristics?id=${service.aid}.${iid}`).then((response) => {
+            Request.get(`http://127.0.0.1:${route.port}/characteristics?id=${route.aid}.${iid}`).then((response) => {
                 const idx = service.characteristics.findIndex(item => item.iid === response.data.characteristics[0].iid && item.aid === service.aid);
 
                 service.characteristics[idx].value = response.data.characteristics[0].value;
@@ -207,12 +267,14 @@ module.exports = class HapClient {
     }
 
     set(service, iid, value) {
+        const route = HapClient.route(service.aid);
+
         return new Promise((resolve, reject) => {
             Request.defaults.headers.put["Authorization"] = HBS.config.bridge.pin;
 
-            Request.put(`http://127.0.0.1:${HBS.config.bridge.port}/characteristics`, {
+            Request.put(`http://127.0.0.1:${route.port}/characteristics`, {
                 characteristics: [{
-                    aid: service.aid,
+                    aid: route.aid,
                     iid: iid,
                     value: value
                 }]
@@ -232,6 +294,54 @@ module.exports = class HapClient {
         });
     }
 
+    read(aid, iid) {
+        const route = HapClient.route(aid);
+
+        return new Promise((resolve, reject) => {
+            Request.get(`http://127.0.0.1:${route.port}/characteristics?id=${route.aid}.${iid}`).then((response) => {
+                resolve((((response.data || {}).characteristics || [])[0] || {}).value);
+            }).catch((error) => {
+                reject(error);
+            });
+        });
+    }
+
+    write(aid, characteristics) {
+        const route = HapClient.route(aid);
+
+        return new Promise((resolve, reject) => {
+            Request.put(`http://127.0.0.1:${route.port}/characteristics`, {
+                characteristics: characteristics.map((characteristic) => {
+                    return {
+                        aid: route.aid,
+                        iid: characteristic.iid,
+                        value: characteristic.value
+                    };
+                })
+            }, {
+                headers: {
+                    Authorization: HBS.config.bridge.pin
+                }
+            }).then((response) => {
+                const results = [];
+                const statuses = (response.data || {}).characteristics || [];
+
+                for (let i = 0; i < characteristics.length; i++) {
+                    const status = statuses.find(c => c.aid === route.aid && c.iid === characteristics[i].iid) || {};
+
+                    results.push({
+                        iid: characteristics[i].iid,
+                        success: !status.status
+                    });
+                }
+
+                resolve(results);
+            }).catch((error) => {
+                reject(error);
+            });
+        });
+    }
+
     humanize(string) {
         string = string.replace(/_/gi, " ");
         string = string.replace(/-/gi, " ");
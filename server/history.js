@@ -0,0 +1,276 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const File = require("fs-extra");
+
+const HBS = require("./instance");
+const Server = require("./server");
+
+const { join } = require("path");
+
+const values = ["temperature", "relative_humidity", "battery_level", "ambient_light_level", "air_quality", "carbon_dioxide_level", "carbon_monoxid_level", "water_level"];
+const events = ["contact_sensor_state", "motion_detected", "occupancy_detected", "leak_detected", "smoke_detected", "carbon_dioxide_detected", "carbon_monoxide_detected", "status_low_battery", "on"];
+
+let timer = null;
+
+module.exports = class History {
+    static get path() {
+        return join(Server.paths.config, HBS.name || "", "history");
+    }
+
+    static get settings() {
+        const server = (HBS.config || {}).server || {};
+
+        return {
+            days: parseInt(server.history_days, 10) || 30,
+            resolution: parseInt(server.history_resolution, 10) || 15
+        };
+    }
+
+    static tracked(type) {
+        return values.indexOf(type) >= 0 || events.indexOf(type) >= 0;
+    }
+
+    static kind(type) {
+        return events.indexOf(type) >= 0 ? "event" : "value";
+    }
+
+    static day(time) {
+        const date = new Date(time);
+
+        return `${date.getFullYear()}-${`${date.getMonth() + 1}`.padStart(2, "0")}-${`${date.getDate()}`.padStart(2, "0")}`;
+    }
+
+    static value(value) {
+        if (typeof value === "boolean") {
+            return value ? 1 : 0;
+        }
+
+        return Number(value);
+    }
+
+    static record(change) {
+        if (!History.tracked(change.type) || Number.isNaN(History.value(change.value))) {
+            return;
+        }
+
+        const directory = join(History.path, `${Math.floor(change.aid)}`);
+
+        try {
+            File.ensureDirSync(directory);
+            File.appendFileSync(join(directory, `${History.day(change.time)}.log`), `${JSON.stringify([change.time, change.iid, change.type, History.value(change.value)])}\n`);
+        } catch (error) {
+            HBS.log.error(`[History] ${error.message}`);
+        }
+    }
+
+    static read(filename) {
+        const results = [];
+        const lines = File.readFileSync(filename).toString().split(/\r?\n/);
+
+        for (let i = 0; i < lines.length; i++) {
+            if (lines[i].trim() !== "") {
+                const entry = HBS.JSON.tryParse(lines[i]);
+
+                if (Array.isArray(entry) && entry.length === 4) {
+                    results.push(entry);
+                }
+            }
+        }
+
+        return results;
+    }
+
+    static query(aid, from, to, resolution) {
+        const directory = join(History.path, `${Math.floor(aid)}`);
+        const series = {};
+
+        if (File.existsSync(directory)) {
+            const first = History.day(from);
+            const last = History.day(to);
+            const files = File.readdirSync(directory).filter(f => f.endsWith(".log") && f.substring(0, 10) >= first && f.substring(0, 10) <= last).sort();
+
+            for (let i = 0; i < files.length; i++) {
+                const entries = History.read(join(directory, files[i]));
+
+                for (let j = 0; j < entries.length; j++) {
+                    const [time, iid, type, value] = entries[j];
+
+                    if (time >= from && time <= to) {
+                        if (!series[iid]) {
+                            series[iid] = {
+                                iid,
+                                type,
+                                kind: History.kind(type),
+                                points: []
+                            };
+                        }
+
+                        series[iid].points.push([time, value]);
+                    }
+                }
+            }
+        }
+
+        return {
+            aid: Math.floor(aid),
+            from,
+            to,
+            resolution: resolution || 0,
+            series: Object.keys(series).map((iid) => {
+                series[iid].points.sort((a, b) => a[0] - b[0]);
+                series[iid].points = History.downsample(series[iid].kind, series[iid].points, resolution);
+
+                return series[iid];
+            })
+        };
+    }
+
+    static downsample(kind, points, resolution) {
+        const results = [];
+
+        if (kind === "event") {
+            for (let i = 0; i < points.length; i++) {
+                if (results.length === 0 || results[results.length - 1][1] !== points[i][1]) {
+                    results.push(points[i]);
+                }
+            }
+
+            return results;
+        }
+
+        if (!resolution || resolution <= 0) {
+            return points;
+        }
+
+        const size = resolution * 60 * 1000;
+        let bucket = null;
+
+        for (let i = 0; i < points.length; i++) {
+            const time = Math.floor(points[i][0] / size) * size;
+
+            if (!bucket || bucket.time !== time) {
+                if (bucket) {
+                    results.push([bucket.time, Math.round((bucket.total / bucket.count) * 100) / 100]);
+                }
+
+                bucket = {
+                    time,
+                    total: 0,
+                    count: 0
+                };
+            }
+
+            bucket.total += points[i][1];
+            bucket.count += 1;
+        }
+
+        if (bucket) {
+            results.push([bucket.time, Math.round((bucket.total / bucket.count) * 100) / 100]);
+        }
+
+        return results;
+    }
+
+    static start() {
+        History.stop();
+        History.maintain();
+
+        timer = setTimeout(() => {
+            History.start();
+        }, 60 * 60 * 1000);
+    }
+
+    static stop() {
+        if (timer) {
+            clearTimeout(timer);
+        }
+
+        timer = null;
+    }
+
+    static maintain() {
+        if (!File.existsSync(History.path)) {
+            return;
+        }
+
+        const settings = History.settings;
+        const now = new Date();
+        const expired = History.day(new Date(now.getFullYear(), now.getMonth(), now.getDate() - settings.days));
+        const compact = History.day(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+        const directories = File.readdirSync(History.path);
+
+        for (let i = 0; i < directories.length; i++) {
+            const directory = join(History.path, directories[i]);
+
+            try {
+                const files = File.readdirSync(directory).filter(f => f.endsWith(".log"));
+
+                for (let j = 0; j < files.length; j++) {
+                    const day = files[j].substring(0, 10);
+
+                    if (day < expired) {
+                        File.unlinkSync(join(directory, files[j]));
+                    } else if (day < compact && !files[j].endsWith(".ds.log")) {
+                        History.compact(directory, files[j], settings.resolution);
+                    }
+                }
+
+                if (File.readdirSync(directory).length === 0) {
+                    File.removeSync(directory);
+                }
+            } catch (error) {
+                HBS.log.error(`[History] ${error.message}`);
+            }
+        }
+    }
+
+    static compact(directory, filename, resolution) {
+        const entries = History.read(join(directory, filename));
+        const series = {};
+        const results = [];
+
+        for (let i = 0; i < entries.length; i++) {
+            const [time, iid, type, value] = entries[i];
+
+            if (!series[iid]) {
+                series[iid] = {
+                    type,
+                    points: []
+                };
+            }
+
+            series[iid].points.push([time, value]);
+        }
+
+        const keys = Object.keys(series);
+
+        for (let i = 0; i < keys.length; i++) {
+            const points = History.downsample(History.kind(series[keys[i]].type), series[keys[i]].points.sort((a, b) => a[0] - b[0]), resolution);
+
+            for (let j = 0; j < points.length; j++) {
+                results.push([points[j][0], parseInt(keys[i], 10), series[keys[i]].type, points[j][1]]);
+            }
+        }
+
+        results.sort((a, b) => a[0] - b[0]);
+
+        File.writeFileSync(join(directory, filename.replace(/\.log$/, ".ds.log")), results.map(r => `${JSON.stringify(r)}\n`).join(""));
+        File.unlinkSync(join(directory, filename));
+    }
+}
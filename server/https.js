@@ -0,0 +1,204 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const OS = require("os");
+const Tls = require("tls");
+const Http = require("http");
+const Https = require("https");
+const File = require("fs-extra");
+const SelfSigned = require("selfsigned");
+
+const HBS = require("./instance");
+const Server = require("./server");
+
+const { join } = require("path");
+
+const days = 825;
+
+let agent = null;
+let trusted = null;
+
+module.exports = class HTTPS {
+    static get settings() {
+        const https = ((HBS.config || {}).server || {}).https || {};
+
+        return {
+            enabled: https.enabled || false,
+            certificate: https.certificate || "",
+            key: https.key || "",
+            redirect: https.redirect || false,
+            redirect_port: parseInt(https.redirect_port, 10) || 80
+        };
+    }
+
+    static get path() {
+        return join(Server.paths.application, "ssl");
+    }
+
+    static get hostname() {
+        return `${OS.hostname().split(".")[0]}.local`;
+    }
+
+    static credentials() {
+        const settings = HTTPS.settings;
+
+        if (settings.certificate !== "" && settings.key !== "") {
+            try {
+                return {
+                    cert: File.readFileSync(settings.certificate),
+                    key: File.readFileSync(settings.key)
+                };
+            } catch (error) {
+                (HBS.log || console).error(`[HTTPS] Unable to read certificate, using a self-signed certificate instead. ${error.message}`);
+            }
+        }
+
+        return HTTPS.generate();
+    }
+
+    static generate() {
+        const hostname = HTTPS.hostname;
+        const addresses = Server.interfaces().sort();
+        const details = HBS.JSON.load(join(HTTPS.path, "hoobs.json"), {});
+
+        if (details.hostname === hostname && (details.addresses || []).join(",") === addresses.join(",") && details.expires > new Date().getTime() + (30 * 24 * 60 * 60 * 1000) && File.existsSync(join(HTTPS.path, "hoobs.crt")) && File.existsSync(join(HTTPS.path, "hoobs.key"))) {
+            return {
+                cert: File.readFileSync(join(HTTPS.path, "hoobs.crt")),
+                key: File.readFileSync(join(HTTPS.path, "hoobs.key"))
+            };
+        }
+
+        const pems = SelfSigned.generate([{
+            name: "commonName",
+            value: hostname
+        }, {
+            name: "organizationName",
+            value: "HOOBS"
+        }], {
+            days,
+            keySize: 2048,
+            algorithm: "sha256",
+            extensions: [{
+                name: "basicConstraints",
+                cA: false
+            }, {
+                name: "keyUsage",
+                digitalSignature: true,
+                keyEncipherment: true
+            }, {
+                name: "extKeyUsage",
+                serverAuth: true
+            }, {
+                name: "subjectAltName",
+                altNames: [{
+                    type: 2,
+                    value: hostname
+                }, {
+                    type: 2,
+                    value: "localhost"
+                }, {
+                    type: 7,
+                    ip: "127.0.0.1"
+                }, ...addresses.map(ip => ({
+                    type: 7,
+                    ip
+                }))]
+            }]
+        });
+
+        File.ensureDirSync(HTTPS.path);
+        File.writeFileSync(join(HTTPS.path, "hoobs.crt"), pems.cert);
+        File.writeFileSync(join(HTTPS.path, "hoobs.key"), pems.private, {
+            mode: 0o600
+        });
+
+        File.writeFileSync(join(HTTPS.path, "hoobs.json"), HBS.JSON.toString({
+            hostname,
+            addresses,
+            fingerprint: pems.fingerprint,
+            expires: new Date().getTime() + (days * 24 * 60 * 60 * 1000)
+        }));
+
+        return {
+            cert: pems.cert,
+            key: pems.private
+        };
+    }
+
+    static agent() {
+        const settings = HTTPS.settings;
+        const files = [join(HTTPS.path, "hoobs.crt"), settings.certificate];
+        const certificates = [];
+
+        for (let i = 0; i < files.length; i++) {
+            if (files[i] !== "" && File.existsSync(files[i])) {
+                certificates.push(File.readFileSync(files[i]).toString());
+            }
+        }
+
+        if (certificates.length === 0) {
+            return undefined;
+        }
+
+        if (!agent || trusted !== certificates.join("")) {
+            agent = new Https.Agent({
+                ca: (Tls.rootCertificates || []).concat(certificates)
+            });
+
+            trusted = certificates.join("");
+        }
+
+        return agent;
+    }
+
+    static create(app) {
+        if (HTTPS.settings.enabled) {
+            return Https.createServer(HTTPS.credentials(), app);
+        }
+
+        return Http.createServer(app);
+    }
+
+    static redirect(port) {
+        const settings = HTTPS.settings;
+
+        if (!settings.enabled || !settings.redirect || settings.redirect_port === port) {
+            return null;
+        }
+
+        const server = Http.createServer((request, response) => {
+            const host = (request.headers.host || HTTPS.hostname).replace(/:\d+$/, "");
+
+            response.writeHead(301, {
+                Location: `https://${host}${port === 443 ? "" : `:${port}`}${request.url}`
+            });
+
+            response.end();
+        });
+
+        server.on("error", (error) => {
+            HBS.log.error(`[HTTPS] Unable to start redirect on port ${settings.redirect_port}. ${error.message}`);
+        });
+
+        server.listen(settings.redirect_port, () => {
+            HBS.log.info(`Redirecting port ${settings.redirect_port} to HTTPS.`);
+        });
+
+        return server;
+    }
+}
@@ -23,11 +23,14 @@ module.exports = {
     api: null,
     app: null,
     application: null,
+    automations: null,
     cache: null,
     client: null,
     config: null,
     controllers: null,
+    crashes: null,
     debug: false,
+    jobs: null,
     layout: null,
     log: null,
     mode: "default",
@@ -37,11 +40,14 @@ module.exports = {
         "-r"
     ],
 
+    scenes: null,
+    schedules: null,
     server: null,
     storage: null,
     sudo: null,
     user: null,
     users: null,
+    webhooks: null,
     cpmod: true,
     plugins: {},
     docker: false,
@@ -0,0 +1,300 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const File = require("fs-extra");
+
+const HBS = require("./instance");
+const Plugins = require("./plugins");
+const Rollback = require("./rollback");
+const Server = require("./server");
+
+const { join } = require("path");
+
+const types = ["install", "uninstall", "update"];
+const retention = 50;
+const lines = 500;
+
+let running = null;
+let restart = false;
+
+module.exports = class Jobs {
+    static get types() {
+        return types;
+    }
+
+    static get(id) {
+        return HBS.jobs.filter(j => j.id === id)[0];
+    }
+
+    static summary(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            plugin: job.plugin,
+            tag: job.tag,
+            state: job.state,
+            error: job.error,
+            created: job.created,
+            started: job.started,
+            finished: job.finished
+        };
+    }
+
+    static enqueue(type, plugin, options) {
+        options = options || {};
+
+        const job = {
+            id: 1,
+            type,
+            plugin,
+            tag: options.tag || "latest",
+            replace: options.replace || null,
+            session: options.session || null,
+            socketed: options.socketed || false,
+            state: "queued",
+            error: null,
+            created: new Date().getTime(),
+            started: null,
+            finished: null,
+            output: []
+        };
+
+        if (HBS.jobs.length > 0) {
+            job.id = HBS.jobs[HBS.jobs.length - 1].id + 1;
+        }
+
+        HBS.jobs.push(job);
+
+        Jobs.save();
+
+        HBS.log.job(Jobs.summary(job));
+
+        Jobs.next();
+
+        return job;
+    }
+
+    static cancel(id) {
+        const index = HBS.jobs.findIndex(j => j.id === id);
+
+        if (index >= 0 && HBS.jobs[index].state !== "running") {
+            const job = HBS.jobs[index];
+
+            HBS.jobs.splice(index, 1);
+
+            Jobs.save();
+
+            if (job.state === "queued") {
+                job.state = "canceled";
+                job.finished = new Date().getTime();
+
+                HBS.log.job(Jobs.summary(job));
+            }
+
+            return true;
+        }
+
+        return false;
+    }
+
+    static save() {
+        const finished = HBS.jobs.filter(j => j.state === "succeeded" || j.state === "failed" || j.state === "rolled_back");
+
+        if (finished.length > retention) {
+            const expired = finished.slice(0, finished.length - retention);
+
+            HBS.jobs = HBS.jobs.filter(j => expired.indexOf(j) === -1);
+        }
+
+        if (File.existsSync(join(Server.paths.config, HBS.name || "", "jobs.json"))) {
+            File.unlinkSync(join(Server.paths.config, HBS.name || "", "jobs.json"));
+        }
+
+        File.appendFileSync(join(Server.paths.config, HBS.name || "", "jobs.json"), HBS.JSON.toString(HBS.jobs));
+    }
+
+    static start() {
+        let interrupted = false;
+
+        for (let i = 0; i < HBS.jobs.length; i++) {
+            if (HBS.jobs[i].state === "running") {
+                HBS.jobs[i].state = "failed";
+                HBS.jobs[i].error = "Interrupted";
+                HBS.jobs[i].finished = new Date().getTime();
+
+                interrupted = true;
+            }
+        }
+
+        if (interrupted) {
+            Jobs.save();
+        }
+
+        Jobs.next();
+    }
+
+    static async next() {
+        if (running) {
+            return;
+        }
+
+        running = HBS.jobs.filter(j => j.state === "queued")[0];
+
+        if (!running) {
+            if (restart) {
+                restart = false;
+
+                Jobs.restart();
+            }
+
+            return;
+        }
+
+        await Jobs.run(running);
+
+        running = null;
+
+        Jobs.next();
+    }
+
+    static async run(job) {
+        job.state = "running";
+        job.started = new Date().getTime();
+
+        Jobs.save();
+
+        HBS.log.job(Jobs.summary(job));
+
+        const progress = (line) => {
+            job.output.push(line);
+
+            while (job.output.length > lines) {
+                job.output.shift();
+            }
+
+            HBS.log.progress(job.id, line);
+        };
+
+        let results = null;
+
+        if (job.type !== "uninstall") {
+            Rollback.snapshot();
+        }
+
+        try {
+            switch (job.type) {
+                case "install":
+                    results = await Plugins.install(job.plugin, job.tag, job.replace, progress);
+                    break;
+
+                case "uninstall":
+                    results = await Plugins.uninstall(job.plugin, progress);
+                    break;
+
+                case "update":
+                    results = await Plugins.update(job.plugin, job.tag, progress);
+                    break;
+            }
+        } catch (error) {
+            job.error = error.message;
+        }
+
+        job.state = results && results.success ? "succeeded" : "failed";
+        job.finished = new Date().getTime();
+
+        if (job.state === "failed" && !job.error) {
+            job.error = results && results.active > 0 ? "System busy" : `Plugin ${job.type} failed`;
+        }
+
+        Jobs.save();
+
+        HBS.log.job(Jobs.summary(job));
+
+        await Jobs.complete(job);
+    }
+
+    static async restart() {
+        HBS.config = await Server.configure();
+
+        const changes = await Rollback.restart();
+
+        for (let i = 0; i < changes.length; i++) {
+            const job = Jobs.get(changes[i].job);
+
+            if (job) {
+                job.state = "rolled_back";
+                job.error = "Bridge failed to start";
+
+                HBS.log.job(Jobs.summary(job));
+            }
+        }
+
+        if (changes.length > 0) {
+            Jobs.save();
+        }
+    }
+
+    static async complete(job) {
+        let route = "/plugins";
+
+        if (job.state === "succeeded") {
+            restart = true;
+
+            Rollback.track(job);
+
+            switch (job.type) {
+                case "install":
+                    HBS.log.info(`Plugin "${job.plugin}" installed.`);
+                    HBS.log.push.info(job.plugin, "Plugin successfully installed");
+
+                    route = `/config/${job.plugin.split("/").pop()}`;
+                    break;
+
+                case "uninstall":
+                    HBS.log.info(`Plugin "${job.plugin}" removed.`);
+                    HBS.log.push.warning(job.plugin, "Plugin successfully removed");
+                    break;
+
+                case "update":
+                    HBS.log.info(`Plugin "${job.plugin}" updated.`);
+                    HBS.log.push.info(job.plugin, "Plugin successfully updated");
+                    break;
+            }
+        } else {
+            switch (job.type) {
+                case "install":
+                    HBS.log.push.error(job.plugin, "Plugin install failed");
+                    break;
+
+                case "uninstall":
+                    HBS.log.push.error(job.plugin, "Plugin remove failed");
+                    break;
+
+                case "update":
+                    HBS.log.push.error(job.plugin, "Plugin update failed");
+                    break;
+            }
+        }
+
+        if (job.socketed) {
+            HBS.log.command("redirect", {
+                route
+            }, job.session);
+        }
+    }
+}
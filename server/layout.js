@@ -0,0 +1,91 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const HBS = require("./instance");
+const Scenes = require("./scenes");
+
+module.exports = class Layout {
+    static ids(services) {
+        const lookup = {};
+        const results = [];
+
+        for (let i = 0; i < services.length; i++) {
+            const aid = services[i].aid;
+
+            results.push(lookup[aid] ? parseFloat(`${aid}.${lookup[aid]}`) : aid);
+
+            lookup[aid] = (lookup[aid] || 0) + 1;
+        }
+
+        return results;
+    }
+
+    static room(id, username) {
+        const layouts = Object.keys(HBS.layout || {}).map(key => HBS.layout[key]);
+
+        if (username && (HBS.layout || {})[username]) {
+            layouts.unshift(HBS.layout[username]);
+        }
+
+        for (let i = 0; i < layouts.length; i++) {
+            const room = ((layouts[i] || {}).rooms || []).find(r => (r.accessories || []).map(a => parseFloat(a)).indexOf(id) >= 0);
+
+            if (room) {
+                return room.name;
+            }
+        }
+
+        return "Unassigned";
+    }
+
+    static permitted(id, rooms) {
+        if (!Array.isArray(rooms)) {
+            return true;
+        }
+
+        const admins = (HBS.users || []).filter(u => u.admin).map(u => u.username);
+
+        for (let i = 0; i < admins.length; i++) {
+            const allowed = (((HBS.layout || {})[admins[i]] || {}).rooms || []).filter(r => rooms.indexOf(r.name) >= 0);
+
+            if (allowed.findIndex(r => (r.accessories || []).map(a => Layout.aid(a)).indexOf(Layout.aid(id)) >= 0) >= 0) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    static aid(id) {
+        return parseInt(`${id}`.split(".")[0], 10);
+    }
+
+    static actions(actions, rooms) {
+        if (!Array.isArray(rooms)) {
+            return true;
+        }
+
+        return (actions || []).findIndex((action) => {
+            if (action.type === "scene") {
+                return ((Scenes.get(parseInt(action.scene, 10)) || {}).accessories || []).findIndex(a => !Layout.permitted(a.aid, rooms)) >= 0;
+            }
+
+            return !Layout.permitted(action.aid, rooms);
+        }) === -1;
+    }
+}
@@ -18,28 +18,70 @@
 
 const HBS = require("./instance");
 const User = require("./user");
+const Layout = require("./layout");
+const Sockets = require("./sockets");
+const Logs = require("./logs");
 
 module.exports = (socket) => {
     const cache = [];
+    const clients = [];
 
-    let client = null;
+    const send = (event, data, session, aid) => {
+        const message = JSON.stringify({
+            event,
+            data
+        });
 
-    socket.app.ws("/monitor", (wss, request) => {
-        if (User.validateToken(request.query.a)) {
-            client = wss;
+        for (let i = 0; i < clients.length; i++) {
+            if (clients[i].socket.readyState === 1 && (!session || clients[i].session === session) && (aid === undefined || Layout.permitted(aid, clients[i].rooms))) {
+                clients[i].socket.send(message);
+            }
         }
+    };
+
+    socket.app.ws("/monitor", (wss, request) => {
+        const client = {
+            socket: wss,
+            session: null,
+            rooms: null
+        };
+
+        const authorized = User.validateToken(request.query.a, request.ip).then((valid) => {
+            if (valid) {
+                client.rooms = User.decode(request.query.a).rooms || null;
+                client.session = User.session(request.query.a);
+
+                Sockets.bind(wss, User.payload(request.query.a).sid, request.query.a);
+
+                clients.push(client);
+            } else {
+                wss.close();
+            }
+
+            return valid;
+        });
+
+        Sockets.watch(wss);
 
-        wss.on("message", (message) => {
-            if (client) {
+        wss.on("close", () => {
+            const index = clients.indexOf(client);
+
+            if (index >= 0) {
+                clients.splice(index, 1);
+            }
+        });
+
+        wss.on("message", async (message) => {
+            if (await authorized) {
                 switch (message) {
                     case "{HISTORY}":
-                        client.send(JSON.stringify({
+                        wss.send(JSON.stringify({
                             event: "log",
                             data: "{CLEAR}"
                         }));
             
                         for (let i = 0; i < cache.length; i++) {
-                            client.send(JSON.stringify({
+                            wss.send(JSON.stringify({
                                 event: "log",
                                 data: cache[i]
                             }));
@@ -51,31 +93,29 @@ module.exports = (socket) => {
         });
     });
 
-    const log = (type, message) => {
-        data = {
+    const log = (type, message, meta) => {
+        meta = meta || {};
+
+        const data = {
+            level: type,
+            plugin: meta.plugin || null,
+            prefix: meta.prefix || null,
             message: (`${message}`).replace(/[\u001b\u009b][[()#;?]*(?:[0-9]{1,4}(?:;[0-9]{0,4})*)?[0-9A-ORZcf-nqry=><]/g, ""),
-            time: new Date().getTime()
-        }
+            time: meta.time || new Date().getTime()
+        };
 
         cache.push(data);
 
+        Logs.write(data);
+
         while (cache.length >= 500) {
             cache.shift()
         }
 
-        if (client && client.readyState === 1) {
-            client.send(JSON.stringify({
-                event: "log",
-                data
-            }));
-
-            client.send(JSON.stringify({
-                event: type,
-                data: data.message
-            }));
-        }
+        send("log", data);
+        send(type, data.message);
 
-        console.log(message);
+        console.log(data.prefix ? `[${data.prefix}] ${message}` : message);
     };
 
     return {
@@ -89,6 +129,10 @@ module.exports = (socket) => {
             }
         },
 
+        warn: (message) => {
+            log("warn", message);
+        },
+
         error: (message) => {
             log("error", message);
         },
@@ -97,81 +141,73 @@ module.exports = (socket) => {
             log("fatal", message);
         },
 
-        command: (action, payload) => {
-            if (client && client.readyState === 1) {
-                client.send(JSON.stringify({
-                    event: "command",
-                    data: {
-                        action,
-                        payload
-                    }
-                }));
+        write: (record) => {
+            if (record && (record.level !== "debug" || HBS.debug)) {
+                log(["debug", "info", "warn", "error", "fatal"].indexOf(record.level) >= 0 ? record.level : "info", record.message, record);
             }
         },
 
+        command: (action, payload, session) => {
+            send("command", {
+                action,
+                payload
+            }, session);
+        },
+
         push: {
             info: (title, message) => {
-                if (client && client.readyState === 1) {
-                    client.send(JSON.stringify({
-                        event: "push",
-                        data: {
-                            id: `${new Date().getTime()}_${Math.random().toString(36).substr(4, 5)}`,
-                            type: "info",
-                            time: new Date().getTime(),
-                            title,
-                            message
-                        }
-                    }));
-                }
+                send("push", {
+                    id: `${new Date().getTime()}_${Math.random().toString(36).substr(4, 5)}`,
+                    type: "info",
+                    time: new Date().getTime(),
+                    title,
+                    message
+                });
             },
 
             warning: (title, message) => {
-                if (client && client.readyState === 1) {
-                    client.send(JSON.stringify({
-                        event: "push",
-                        data: {
-                            type: "warning",
-                            time: new Date().getTime(),
-                            title,
-                            message
-                        }
-                    }));
-                }
+                send("push", {
+                    type: "warning",
+                    time: new Date().getTime(),
+                    title,
+                    message
+                });
             },
 
             error: (title, message) => {
-                if (client && client.readyState === 1) {
-                    client.send(JSON.stringify({
-                        event: "push",
-                        data: {
-                            type: "error",
-                            time: new Date().getTime(),
-                            title,
-                            message
-                        }
-                    }));
-                }
+                send("push", {
+                    type: "error",
+                    time: new Date().getTime(),
+                    title,
+                    message
+                });
             }
         },
 
         monitor: (name, data) => {
-            if (client && client.readyState === 1) {
-                client.send(JSON.stringify({
-                    event: "monitor",
-                    data: {
-                        name,
-                        data
-                    }
-                }));
-            }
+            send("monitor", {
+                name,
+                data
+            });
         },
 
         update: () => {
-            if (client && client.readyState === 1) {
-                client.send(JSON.stringify({
-                    event: "update"
-                }));
-            }
+            send("update");
+        },
+
+        job: (data) => {
+            send("job", data);
+        },
+
+        progress: (id, line) => {
+            send("job_output", {
+                id,
+                line
+            });
+        },
+
+        characteristic: (data) => {
+            send("characteristic", data, null, data.aid);
         }
     };
 };
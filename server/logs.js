@@ -0,0 +1,308 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const File = require("fs-extra");
+const Zlib = require("zlib");
+const Archiver = require("archiver");
+
+const HBS = require("./instance");
+const Server = require("./server");
+
+const { join } = require("path");
+const { pipeline } = require("stream");
+
+const levels = ["debug", "info", "warn", "error", "fatal"];
+const chunk = 64 * 1024;
+
+let size = null;
+let started = null;
+
+module.exports = class Logs {
+    static get path() {
+        return join(Server.paths.logs, HBS.name || "default");
+    }
+
+    static get current() {
+        return join(Logs.path, "hoobs.log");
+    }
+
+    static get settings() {
+        const server = (HBS.config || {}).server || {};
+
+        return {
+            days: parseInt(server.log_days, 10) || 14,
+            size: (parseInt(server.log_size, 10) || 10) * 1024 * 1024
+        };
+    }
+
+    static day(time) {
+        const date = new Date(time);
+
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    }
+
+    static write(record) {
+        const line = `${JSON.stringify(record)}\n`;
+
+        try {
+            if (size === null) {
+                File.ensureDirSync(Logs.path);
+
+                if (File.existsSync(Logs.current)) {
+                    const stats = File.statSync(Logs.current);
+
+                    size = stats.size;
+                    started = stats.birthtimeMs || stats.mtimeMs;
+                } else {
+                    size = 0;
+                    started = record.time;
+                }
+            }
+
+            if (size > 0 && (size + line.length > Logs.settings.size || Logs.day(started) < Logs.day(record.time))) {
+                Logs.rotate();
+            }
+
+            File.appendFileSync(Logs.current, line);
+
+            size += Buffer.byteLength(line);
+        } catch (_error) {
+            size = null;
+        }
+    }
+
+    static rotate() {
+        const filename = join(Logs.path, `hoobs-${new Date().getTime()}.log`);
+
+        File.renameSync(Logs.current, filename);
+
+        size = 0;
+        started = new Date().getTime();
+
+        pipeline(File.createReadStream(filename), Zlib.createGzip(), File.createWriteStream(`${filename}.gz`), (error) => {
+            if (error) {
+                File.removeSync(`${filename}.gz`);
+
+                if (HBS.log) {
+                    HBS.log.warn(`[Logs] Unable to compress ${filename}: ${error.message}`);
+                }
+            } else {
+                File.removeSync(filename);
+            }
+        });
+
+        Logs.prune();
+    }
+
+    static prune() {
+        const expired = new Date().getTime() - (Logs.settings.days * 24 * 60 * 60 * 1000);
+
+        for (const file of Logs.files()) {
+            if (file.time && file.time < expired) {
+                File.removeSync(file.path);
+            }
+        }
+    }
+
+    static files() {
+        if (!File.existsSync(Logs.path)) {
+            return [];
+        }
+
+        const results = [];
+        const entries = File.readdirSync(Logs.path);
+
+        for (let i = 0; i < entries.length; i++) {
+            const match = /^hoobs-(\d+)\.log(\.gz)?$/.exec(entries[i]);
+
+            if (match && !(match[2] && entries.indexOf(entries[i].replace(/\.gz$/, "")) >= 0)) {
+                results.push({
+                    path: join(Logs.path, entries[i]),
+                    time: parseInt(match[1], 10),
+                    compressed: !!match[2]
+                });
+            } else if (entries[i] === "hoobs.log") {
+                results.push({
+                    path: Logs.current,
+                    time: null,
+                    compressed: false
+                });
+            }
+        }
+
+        return results.sort((a, b) => (a.time || Infinity) - (b.time || Infinity));
+    }
+
+    static reverse(filename, visit) {
+        const fd = File.openSync(filename, "r");
+        const buffer = Buffer.alloc(chunk);
+
+        let position = File.fstatSync(fd).size;
+        let rest = Buffer.alloc(0);
+
+        try {
+            while (position > 0) {
+                const length = Math.min(chunk, position);
+
+                position -= length;
+
+                File.readSync(fd, buffer, 0, length, position);
+
+                const data = Buffer.concat([buffer.subarray(0, length), rest]);
+
+                let end = data.length;
+                let index = data.lastIndexOf(10);
+
+                while (index >= 0) {
+                    if (index + 1 < end && visit(data.subarray(index + 1, end).toString()) === false) {
+                        return false;
+                    }
+
+                    end = index;
+                    index = index > 0 ? data.lastIndexOf(10, index - 1) : -1;
+                }
+
+                rest = data.subarray(0, end);
+            }
+
+            if (rest.length > 0) {
+                return visit(rest.toString());
+            }
+        } finally {
+            File.closeSync(fd);
+        }
+
+        return true;
+    }
+
+    static scan(file, visit) {
+        if (!file.compressed) {
+            return Logs.reverse(file.path, visit);
+        }
+
+        let lines = [];
+
+        try {
+            lines = Zlib.gunzipSync(File.readFileSync(file.path)).toString().split(/\r?\n/);
+        } catch (_error) {
+            return true;
+        }
+
+        for (let i = lines.length - 1; i >= 0; i--) {
+            if (lines[i] !== "" && visit(lines[i]) === false) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    static query(filters) {
+        const minimum = levels.indexOf(filters.level) >= 0 ? levels.indexOf(filters.level) : 0;
+        const search = (filters.q || "").toLowerCase();
+        const since = parseInt(filters.since, 10) || 0;
+        const until = parseInt(filters.until, 10) || Infinity;
+        const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 1000);
+        const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+        const skip = (page - 1) * limit;
+        const files = Logs.files().reverse();
+        const records = [];
+
+        let matched = 0;
+        let more = false;
+
+        const visit = (line) => {
+            const record = HBS.JSON.tryParse(line);
+
+            if (!record || !record.time || record.time > until) {
+                return true;
+            }
+
+            if (record.time < since) {
+                return false;
+            }
+
+            if (levels.indexOf(record.level || "info") < minimum) {
+                return true;
+            }
+
+            if (filters.plugin === "hoobs" && record.plugin) {
+                return true;
+            }
+
+            if (filters.plugin && filters.plugin !== "hoobs" && record.plugin !== filters.plugin) {
+                return true;
+            }
+
+            if (search !== "" && `${record.prefix || ""} ${record.message}`.toLowerCase().indexOf(search) === -1) {
+                return true;
+            }
+
+            if (matched >= skip + limit) {
+                more = true;
+
+                return false;
+            }
+
+            if (matched >= skip) {
+                records.push(record);
+            }
+
+            matched++;
+
+            return true;
+        };
+
+        for (let i = 0; i < files.length; i++) {
+            if (files[i].time && files[i].time < since) {
+                break;
+            }
+
+            if (i + 1 < files.length && files[i + 1].time && files[i + 1].time > until) {
+                continue;
+            }
+
+            if (Logs.scan(files[i], visit) === false) {
+                break;
+            }
+        }
+
+        return {
+            page,
+            limit,
+            more,
+            records
+        };
+    }
+
+    static bundle(output) {
+        const archive = Archiver("zip");
+
+        archive.pipe(output);
+
+        for (const file of Logs.files()) {
+            archive.file(file.path, {
+                name: file.path.split(/[\\/]/).pop()
+            });
+        }
+
+        archive.finalize();
+
+        return archive;
+    }
+}
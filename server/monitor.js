@@ -19,20 +19,26 @@
 const System = require("systeminformation");
 
 const HBS = require("./instance");
+const Statistics = require("./statistics");
 
 const Monitor = async function Monitor() {
     HBS.log.monitor("status", {
         version: HBS.server.version,
         running: HBS.server.running,
         status: HBS.server.running ? "running" : "stopped",
-        uptime: new Date() - HBS.server.time
+        uptime: new Date() - HBS.server.time,
+        bridges: HBS.server.bridges()
     });
 
-    HBS.log.monitor("load", {
+    const load = {
         cpu: await System.currentLoad(),
         memory: await System.mem(),
         temp: await System.cpuTemperature()
-    });
+    };
+
+    HBS.log.monitor("load", load);
+
+    Statistics.record(100 - load.cpu.currentload_idle, (load.memory.active * 100) / load.memory.total, load.temp.main);
 
     if ((HBS.config.server.polling_seconds || 10) > 0) {
         setTimeout(() => {
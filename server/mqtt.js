@@ -0,0 +1,382 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const Mqtt = require("mqtt");
+
+const HBS = require("./instance");
+const HapClient = require("./hap-client");
+const Layout = require("./layout");
+const Secrets = require("./secrets");
+
+const components = {
+    lightbulb: "light",
+    switch: "switch",
+    outlet: "switch",
+    fan: "fan",
+    temperature_sensor: "sensor",
+    humidity_sensor: "sensor",
+    light_sensor: "sensor",
+    battery: "sensor",
+    contact_sensor: "binary_sensor",
+    motion_sensor: "binary_sensor",
+    occupancy_sensor: "binary_sensor",
+    leak_sensor: "binary_sensor",
+    smoke_sensor: "binary_sensor"
+};
+
+const sensors = {
+    temperature: { device_class: "temperature", unit_of_measurement: "°C" },
+    relative_humidity: { device_class: "humidity", unit_of_measurement: "%" },
+    ambient_light_level: { device_class: "illuminance", unit_of_measurement: "lx" },
+    battery_level: { device_class: "battery", unit_of_measurement: "%" }
+};
+
+const binary = {
+    contact_sensor_state: { device_class: "door", payload_on: "1", payload_off: "0" },
+    motion_detected: { device_class: "motion", payload_on: "true", payload_off: "false" },
+    occupancy_detected: { device_class: "occupancy", payload_on: "1", payload_off: "0" },
+    leak_detected: { device_class: "moisture", payload_on: "1", payload_off: "0" },
+    smoke_detected: { device_class: "smoke", payload_on: "1", payload_off: "0" }
+};
+
+let client = null;
+let current = null;
+let topics = {};
+let lookup = {};
+
+module.exports = class MQTT {
+    static get settings() {
+        return (HBS.config || {}).mqtt || {};
+    }
+
+    static get base() {
+        return `${MQTT.settings.prefix || "hoobs"}/${MQTT.segment(HBS.name || "default")}`;
+    }
+
+    static segment(value) {
+        return `${value}`.trim().toLowerCase().replace(/[+#/]/g, "").replace(/\s+/g, "_");
+    }
+
+    static start() {
+        HBS.server.on("start", async () => {
+            if (JSON.stringify(MQTT.settings) !== current) {
+                await MQTT.reload();
+            } else {
+                MQTT.availability();
+                MQTT.publish();
+            }
+        });
+
+        HBS.server.on("stop", () => {
+            MQTT.availability();
+        });
+
+        HBS.server.on("update", () => {
+            MQTT.publish();
+        });
+
+        MQTT.connect();
+    }
+
+    static async reload() {
+        if (JSON.stringify(MQTT.settings) !== current) {
+            await MQTT.stop();
+
+            MQTT.connect();
+        }
+    }
+
+    static connect() {
+        const settings = MQTT.settings;
+
+        current = JSON.stringify(settings);
+
+        if (!settings.enabled || !settings.url || client) {
+            return;
+        }
+
+        client = Mqtt.connect(settings.url, {
+            username: settings.username || undefined,
+            password: Secrets.resolve(settings.password) || undefined,
+            clientId: `hoobs_${MQTT.segment(HBS.name || "default")}_${Math.random().toString(16).substr(2, 8)}`,
+            reconnectPeriod: (parseInt(settings.reconnect_seconds, 10) || 5) * 1000,
+            will: {
+                topic: `${MQTT.base}/status`,
+                payload: "offline",
+                retain: true
+            }
+        });
+
+        client.on("connect", () => {
+            HBS.log.info(`[MQTT] Connected to ${settings.url}`);
+
+            client.subscribe(`${MQTT.base}/+/+/+/set`);
+
+            MQTT.availability();
+            MQTT.publish();
+        });
+
+        client.on("reconnect", () => {
+            HBS.log.debug(`[MQTT] Reconnecting to ${settings.url}`);
+        });
+
+        client.on("offline", () => {
+            HBS.log.debug("[MQTT] Broker offline");
+        });
+
+        client.on("error", (error) => {
+            HBS.log.error(`[MQTT] ${error.message}`);
+        });
+
+        client.on("message", (topic, payload) => {
+            MQTT.control(topic, payload.toString());
+        });
+    }
+
+    static stop() {
+        return new Promise((resolve) => {
+            if (!client) {
+                return resolve();
+            }
+
+            const connection = client;
+
+            client = null;
+
+            if (!connection.connected) {
+                connection.end(true);
+
+                return resolve();
+            }
+
+            connection.publish(`${MQTT.base}/status`, "offline", { retain: true }, () => {
+                connection.end(false, () => {
+                    resolve();
+                });
+            });
+        });
+    }
+
+    static availability() {
+        if (client && client.connected) {
+            client.publish(`${MQTT.base}/status`, HBS.server && HBS.server.running ? "online" : "offline", { retain: true });
+        }
+    }
+
+    static format(value) {
+        if (typeof value === "boolean") {
+            return value ? "true" : "false";
+        }
+
+        return `${value}`;
+    }
+
+    static parse(value) {
+        const text = `${value}`.trim();
+
+        switch (text.toLowerCase()) {
+            case "true":
+            case "on":
+                return true;
+
+            case "false":
+            case "off":
+                return false;
+        }
+
+        if (text !== "" && !Number.isNaN(Number(text))) {
+            return Number(text);
+        }
+
+        return text;
+    }
+
+    static async publish() {
+        if (!client || !client.connected || !HBS.server || !HBS.server.running) {
+            return;
+        }
+
+        const hap = new HapClient();
+
+        let services = [];
+
+        try {
+            services = await hap.accessories();
+        } catch (error) {
+            HBS.log.error(`[MQTT] ${error.message}`);
+
+            return;
+        }
+
+        const ids = Layout.ids(services);
+
+        topics = {};
+        lookup = {};
+
+        for (let i = 0; i < services.length; i++) {
+            const service = services[i];
+            const topic = `${MQTT.base}/${MQTT.segment(Layout.room(ids[i]))}/${MQTT.segment(service.service_name)}_${`${ids[i]}`.replace(/\./g, "_")}`;
+
+            try {
+                await service.refresh();
+            } catch (error) {
+                HBS.log.debug(`[MQTT] ${error.message}`);
+            }
+
+            topics[topic] = service;
+
+            for (let j = 0; j < service.characteristics.length; j++) {
+                const characteristic = service.characteristics[j];
+
+                lookup[`${service.aid}.${characteristic.iid}`] = `${topic}/${characteristic.type}`;
+
+                if (characteristic.read && characteristic.value !== null && characteristic.value !== undefined) {
+                    client.publish(`${topic}/${characteristic.type}`, MQTT.format(characteristic.value), { retain: true });
+                }
+            }
+
+            if (MQTT.settings.discovery !== false) {
+                MQTT.discover(service, ids[i], topic);
+            }
+        }
+    }
+
+    static process(change) {
+        const topic = lookup[`${change.aid}.${change.iid}`];
+
+        if (client && client.connected && topic) {
+            client.publish(topic, MQTT.format(change.value), { retain: true });
+        }
+    }
+
+    static async control(topic, payload) {
+        const parts = topic.split("/");
+        const service = topics[parts.slice(0, parts.length - 2).join("/")];
+        const characteristic = service ? service.characteristics.find(c => c.type === parts[parts.length - 2]) : null;
+
+        if (!characteristic || !characteristic.write) {
+            HBS.log.debug(`[MQTT] Unknown or read only topic ${topic}`);
+
+            return;
+        }
+
+        try {
+            await new HapClient().set(service, characteristic.iid, MQTT.parse(payload));
+        } catch (error) {
+            HBS.log.error(`[MQTT] ${error.message}`);
+        }
+    }
+
+    static discover(service, id, topic) {
+        const component = components[service.type];
+
+        if (!component) {
+            return;
+        }
+
+        const types = service.characteristics.map(c => c.type);
+        const identifier = `hoobs_${MQTT.segment(HBS.name || "default")}_${`${id}`.replace(/\./g, "_")}`;
+        const prefix = MQTT.settings.discovery_prefix || "homeassistant";
+
+        const device = {
+            identifiers: [`hoobs_${MQTT.segment(HBS.name || "default")}_${service.aid}`],
+            name: service.name || service.service_name,
+            manufacturer: service.manufacturer,
+            model: service.model
+        };
+
+        const common = {
+            availability_topic: `${MQTT.base}/status`,
+            payload_available: "online",
+            payload_not_available: "offline",
+            device
+        };
+
+        const messages = [];
+
+        switch (component) {
+            case "light":
+            case "switch":
+            case "fan":
+                const power = types.indexOf("active") >= 0 && types.indexOf("on") === -1 ? "active" : "on";
+                const payload = {
+                    ...common,
+                    name: service.service_name,
+                    unique_id: identifier,
+                    state_topic: `${topic}/${power}`,
+                    command_topic: `${topic}/${power}/set`,
+                    payload_on: power === "active" ? "1" : "true",
+                    payload_off: power === "active" ? "0" : "false"
+                };
+
+                if (component === "light" && types.indexOf("brightness") >= 0) {
+                    payload.brightness_state_topic = `${topic}/brightness`;
+                    payload.brightness_command_topic = `${topic}/brightness/set`;
+                    payload.brightness_scale = 100;
+                    payload.on_command_type = "first";
+                }
+
+                messages.push({
+                    topic: `${prefix}/${component}/${identifier}/config`,
+                    payload
+                });
+
+                break;
+
+            case "sensor":
+                for (let i = 0; i < types.length; i++) {
+                    if (sensors[types[i]]) {
+                        messages.push({
+                            topic: `${prefix}/sensor/${identifier}_${types[i]}/config`,
+                            payload: {
+                                ...common,
+                                ...sensors[types[i]],
+                                name: service.service_name,
+                                unique_id: `${identifier}_${types[i]}`,
+                                state_topic: `${topic}/${types[i]}`
+                            }
+                        });
+                    }
+                }
+
+                break;
+
+            case "binary_sensor":
+                for (let i = 0; i < types.length; i++) {
+                    if (binary[types[i]]) {
+                        messages.push({
+                            topic: `${prefix}/binary_sensor/${identifier}_${types[i]}/config`,
+                            payload: {
+                                ...common,
+                                ...binary[types[i]],
+                                name: service.service_name,
+                                unique_id: `${identifier}_${types[i]}`,
+                                state_topic: `${topic}/${types[i]}`
+                            }
+                        });
+                    }
+                }
+
+                break;
+        }
+
+        for (let i = 0; i < messages.length; i++) {
+            client.publish(messages[i].topic, JSON.stringify(messages[i].payload), { retain: true });
+        }
+    }
+}
@@ -21,6 +21,7 @@ const Request = require("axios");
 
 const HBS = require("./instance");
 const Server = require("./server");
+const Webhooks = require("./webhooks");
 
 const { join } = require("path");
 const { spawn } = require("child_process");
@@ -521,7 +522,7 @@ module.exports = class Plugins {
         HBS.active.push(true);
     }
 
-    static install(id, tag, replace) {
+    static install(id, tag, replace, progress) {
         tag = tag || "latest";
 
         return new Promise(async (resolve) => {
@@ -610,10 +611,18 @@ module.exports = class Plugins {
 
                 proc.stdout.on("data", (data) => {
                     HBS.log.info(`${data}`.trimEnd());
+
+                    if (progress) {
+                        progress(`${data}`.trimEnd());
+                    }
                 });
                 
                 proc.stderr.on("data", (data) => {
                     HBS.log.error(`${data}`.trimEnd());
+
+                    if (progress) {
+                        progress(`${data}`.trimEnd());
+                    }
                 });
                 
                 proc.on("close", async () => {
@@ -644,6 +653,12 @@ module.exports = class Plugins {
                         Plugins.linkLibs();
                     }
 
+                    Webhooks.emit("plugin.install", {
+                        plugin: id,
+                        tag,
+                        success
+                    });
+
                     resolve({
                         success,
                         active: HBS.active.length
@@ -653,7 +668,7 @@ module.exports = class Plugins {
         });
     }
 
-    static uninstall(id) {
+    static uninstall(id, progress) {
         return new Promise((resolve) => {
             if (HBS.active.length > 0) {
                 resolve({
@@ -685,10 +700,18 @@ module.exports = class Plugins {
 
                 proc.stdout.on("data", (data) => {
                     HBS.log.info(`${data}`.trimEnd());
+
+                    if (progress) {
+                        progress(`${data}`.trimEnd());
+                    }
                 });
                 
                 proc.stderr.on("data", (data) => {
                     HBS.log.error(`${data}`.trimEnd());
+
+                    if (progress) {
+                        progress(`${data}`.trimEnd());
+                    }
                 });
                 
                 proc.on("close", async () => {
@@ -746,6 +769,11 @@ module.exports = class Plugins {
 
                     Plugins.linkLibs();
 
+                    Webhooks.emit("plugin.uninstall", {
+                        plugin: id,
+                        success
+                    });
+
                     resolve({
                         success,
                         active: HBS.active.length
@@ -755,7 +783,7 @@ module.exports = class Plugins {
         });
     }
 
-    static update(id, tag) {
+    static update(id, tag, progress) {
         tag = tag || "latest";
 
         return new Promise((resolve) => {
@@ -790,16 +818,31 @@ module.exports = class Plugins {
 
                 proc.stdout.on("data", (data) => {
                     HBS.log.info(`${data}`.trimEnd());
+
+                    if (progress) {
+                        progress(`${data}`.trimEnd());
+                    }
                 });
                 
                 proc.stderr.on("data", (data) => {
                     HBS.log.error(`${data}`.trimEnd());
+
+                    if (progress) {
+                        progress(`${data}`.trimEnd());
+                    }
                 });
                 
-                proc.on("close", () => {
+                proc.on("close", (code) => {
                     Plugins.linkLibs();
 
+                    Webhooks.emit("plugin.update", {
+                        plugin: id,
+                        tag,
+                        success: code === 0
+                    });
+
                     resolve({
+                        success: code === 0,
                         active: HBS.active.length
                     });
                 });
@@ -0,0 +1,236 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const File = require("fs-extra");
+
+const HBS = require("./instance");
+const Plugins = require("./plugins");
+const Server = require("./server");
+
+const { join } = require("path");
+const { spawn } = require("child_process");
+
+const files = ["package.json", "package-lock.json", "yarn.lock"];
+const window = 60 * 1000;
+
+let snapshot = null;
+let watching = null;
+let active = false;
+
+module.exports = class Rollback {
+    static get path() {
+        return join(Server.paths.config, HBS.name || "", "rollback");
+    }
+
+    static get active() {
+        return active;
+    }
+
+    static start() {
+        HBS.server.on("stop", () => {
+            if (watching) {
+                watching(false);
+            }
+        });
+    }
+
+    static snapshot() {
+        if (!snapshot) {
+            File.removeSync(Rollback.path);
+            File.ensureDirSync(Rollback.path);
+
+            for (let i = 0; i < files.length; i++) {
+                if (File.existsSync(join(Server.paths.application, files[i]))) {
+                    File.copySync(join(Server.paths.application, files[i]), join(Rollback.path, files[i]));
+                }
+            }
+
+            File.copySync(join(Server.paths.config, HBS.name || "", "config.json"), join(Rollback.path, "config.json"));
+
+            snapshot = {
+                dependencies: HBS.JSON.load(join(Rollback.path, "package.json"), {}).dependencies || {},
+                changes: []
+            };
+        }
+    }
+
+    static track(job) {
+        if (snapshot) {
+            snapshot.changes.push({
+                job: job.id,
+                type: job.type,
+                plugin: job.plugin,
+                previous: snapshot.dependencies[job.plugin] || null
+            });
+        }
+    }
+
+    static async restart() {
+        const { changes } = snapshot || { changes: [] };
+
+        snapshot = null;
+
+        if (changes.length === 0) {
+            await HBS.server.restart();
+
+            return [];
+        }
+
+        active = true;
+
+        await HBS.server.stop();
+
+        if (await Rollback.health()) {
+            File.removeSync(Rollback.path);
+
+            active = false;
+
+            return [];
+        }
+
+        await Rollback.restore(changes);
+
+        active = false;
+
+        return changes;
+    }
+
+    static health() {
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                watching(HBS.server.running);
+            }, window);
+
+            watching = (healthy) => {
+                clearTimeout(timer);
+
+                watching = null;
+
+                resolve(healthy);
+            };
+
+            HBS.server.start();
+        });
+    }
+
+    static async restore(changes) {
+        HBS.log.error("[Rollback] Bridge failed to start after plugin changes.");
+        HBS.log.push.error("Bridge", "Bridge failed to start, rolling back plugin changes");
+
+        if (HBS.server.running) {
+            await HBS.server.stop();
+        } else {
+            await Rollback.terminate();
+        }
+
+        for (let i = 0; i < files.length; i++) {
+            if (File.existsSync(join(Rollback.path, files[i]))) {
+                File.copySync(join(Rollback.path, files[i]), join(Server.paths.application, files[i]));
+            } else if (files[i] !== "package.json") {
+                File.removeSync(join(Server.paths.application, files[i]));
+            }
+        }
+
+        File.copySync(join(Rollback.path, "config.json"), join(Server.paths.config, HBS.name || "", "config.json"));
+
+        const success = await Rollback.reinstall();
+
+        HBS.config = await Server.configure();
+        HBS.application = HBS.JSON.load(join(Server.paths.application, "/package.json"));
+
+        for (let i = 0; i < changes.length; i++) {
+            const { plugin, previous } = changes[i];
+
+            if (previous) {
+                HBS.log.warn(`[Rollback] Plugin "${plugin}" restored to ${previous}.`);
+                HBS.log.push.warning(plugin, `Plugin rolled back to ${previous}`);
+            } else {
+                HBS.log.warn(`[Rollback] Plugin "${plugin}" removed.`);
+                HBS.log.push.warning(plugin, "Plugin install rolled back");
+            }
+        }
+
+        if (success) {
+            File.removeSync(Rollback.path);
+        } else {
+            HBS.log.error(`[Rollback] Unable to reinstall previous plugins, snapshot kept in "${Rollback.path}".`);
+            HBS.log.push.error("Bridge", "Rollback failed, see log for details");
+        }
+
+        await HBS.server.start();
+    }
+
+    static terminate() {
+        return new Promise((resolve) => {
+            const { proc } = HBS.server;
+
+            if (proc && proc.exitCode === null && proc.signalCode === null) {
+                HBS.server.stopping = true;
+
+                proc.on("exit", () => {
+                    resolve();
+                });
+
+                proc.kill("SIGINT");
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    static reinstall() {
+        return new Promise((resolve) => {
+            Plugins.unlinkLibs();
+
+            let proc;
+
+            if (HBS.config.package_manager === "yarn") {
+                proc = spawn("yarn", [
+                    "install",
+                    "--unsafe-perm",
+                    "--ignore-engines"
+                ], {
+                    cwd: Server.paths.application
+                });
+            } else {
+                proc = spawn("npm", [
+                    "install",
+                    "--prefer-offline",
+                    "--no-audit",
+                    "--unsafe-perm"
+                ], {
+                    cwd: Server.paths.application
+                });
+            }
+
+            proc.stdout.on("data", (data) => {
+                HBS.log.info(`${data}`.trimEnd());
+            });
+
+            proc.stderr.on("data", (data) => {
+                HBS.log.error(`${data}`.trimEnd());
+            });
+
+            proc.on("close", (code) => {
+                Plugins.linkLibs();
+
+                resolve(code === 0);
+            });
+        });
+    }
+}
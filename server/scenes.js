@@ -0,0 +1,173 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const File = require("fs-extra");
+
+const HBS = require("./instance");
+const HapClient = require("./hap-client");
+const Server = require("./server");
+
+const { join } = require("path");
+
+module.exports = class Scenes {
+    static get(id) {
+        return HBS.scenes.filter(s => s.id === id)[0];
+    }
+
+    static async create(name, accessories) {
+        const scene = {
+            id: 1,
+            name,
+            accessories: await Scenes.capture(accessories)
+        };
+
+        if (HBS.scenes.length > 0) {
+            scene.id = HBS.scenes[HBS.scenes.length - 1].id + 1;
+        }
+
+        HBS.scenes.push(scene);
+
+        Scenes.save();
+
+        return scene;
+    }
+
+    static async update(id, name, accessories) {
+        const index = HBS.scenes.findIndex(s => s.id === id);
+
+        if (index >= 0) {
+            if (name && name !== "") {
+                HBS.scenes[index].name = name;
+            }
+
+            if (Array.isArray(accessories)) {
+                HBS.scenes[index].accessories = await Scenes.capture(accessories);
+            }
+
+            Scenes.save();
+
+            return HBS.scenes[index];
+        }
+
+        return false;
+    }
+
+    static delete(id) {
+        const index = HBS.scenes.findIndex(s => s.id === id);
+
+        if (index >= 0) {
+            HBS.scenes.splice(index, 1);
+
+            Scenes.save();
+
+            return true;
+        }
+
+        return false;
+    }
+
+    static async capture(accessories) {
+        const hap = new HapClient();
+        const ids = (accessories || []).map(a => parseInt(`${a}`.split(".")[0], 10));
+        const services = (await hap.accessories()).filter(s => ids.indexOf(s.aid) >= 0);
+        const results = [];
+
+        for (let i = 0; i < services.length; i++) {
+            try {
+                await services[i].refresh();
+            } catch (error) {
+                HBS.log.error(`[Capture Scene] ${services[i].aid} - ${error.message}`);
+                HBS.log.debug(error.stack);
+            }
+
+            let accessory = results.find(a => a.aid === services[i].aid);
+
+            if (!accessory) {
+                accessory = {
+                    aid: services[i].aid,
+                    name: services[i].service_name,
+                    characteristics: []
+                };
+
+                results.push(accessory);
+            }
+
+            for (let j = 0; j < services[i].characteristics.length; j++) {
+                const characteristic = services[i].characteristics[j];
+
+                if (characteristic.read && characteristic.write && characteristic.value !== null && characteristic.value !== undefined) {
+                    accessory.characteristics.push({
+                        iid: characteristic.iid,
+                        type: characteristic.type,
+                        service_type: characteristic.service_type,
+                        value: characteristic.value
+                    });
+                }
+            }
+        }
+
+        return results;
+    }
+
+    static async apply(id) {
+        const scene = Scenes.get(id);
+
+        if (!scene) {
+            return false;
+        }
+
+        const hap = new HapClient();
+        const results = [];
+
+        for (let i = 0; i < scene.accessories.length; i++) {
+            const accessory = scene.accessories[i];
+
+            try {
+                const characteristics = await hap.write(accessory.aid, accessory.characteristics);
+
+                results.push({
+                    aid: accessory.aid,
+                    name: accessory.name,
+                    success: characteristics.findIndex(c => !c.success) === -1,
+                    characteristics
+                });
+            } catch (error) {
+                HBS.log.error(`[Apply Scene] ${accessory.aid} - ${error.message}`);
+
+                results.push({
+                    aid: accessory.aid,
+                    name: accessory.name,
+                    success: false,
+                    error: error.message
+                });
+            }
+        }
+
+        HBS.log.info(`Scene "${scene.name}" applied.`);
+
+        return results;
+    }
+
+    static save() {
+        if (File.existsSync(join(Server.paths.config, HBS.name || "", "scenes.json"))) {
+            File.unlinkSync(join(Server.paths.config, HBS.name || "", "scenes.json"));
+        }
+
+        File.appendFileSync(join(Server.paths.config, HBS.name || "", "scenes.json"), HBS.JSON.toString(HBS.scenes));
+    }
+}
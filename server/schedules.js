@@ -0,0 +1,530 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const File = require("fs-extra");
+
+const HBS = require("./instance");
+const HapClient = require("./hap-client");
+const Scenes = require("./scenes");
+const Server = require("./server");
+
+const { join } = require("path");
+
+const types = ["cron", "sunrise", "sunset"];
+const actions = ["set", "scene"];
+const policies = ["skip", "run"];
+const lookback = 24 * 60 * 60 * 1000;
+const warned = [];
+
+let timer = null;
+let listening = false;
+
+const fields = [
+    { min: 0, max: 59 },
+    { min: 0, max: 23 },
+    { min: 1, max: 31 },
+    { min: 1, max: 12 },
+    { min: 0, max: 7 }
+];
+
+module.exports = class Schedules {
+    static get(id) {
+        return HBS.schedules.filter(s => s.id === id)[0];
+    }
+
+    static create(schedule) {
+        const item = {
+            id: 1,
+            ...Schedules.normalize(schedule),
+            created: new Date().getTime(),
+            last_run: null
+        };
+
+        if (HBS.schedules.length > 0) {
+            item.id = HBS.schedules[HBS.schedules.length - 1].id + 1;
+        }
+
+        HBS.schedules.push(item);
+
+        Schedules.save();
+
+        return item;
+    }
+
+    static update(id, schedule) {
+        const index = HBS.schedules.findIndex(s => s.id === id);
+
+        if (index >= 0) {
+            HBS.schedules[index] = {
+                id,
+                ...Schedules.normalize(schedule),
+                created: HBS.schedules[index].created,
+                last_run: HBS.schedules[index].last_run
+            };
+
+            Schedules.save();
+
+            return HBS.schedules[index];
+        }
+
+        return false;
+    }
+
+    static delete(id) {
+        const index = HBS.schedules.findIndex(s => s.id === id);
+
+        if (index >= 0) {
+            HBS.schedules.splice(index, 1);
+
+            Schedules.save();
+
+            return true;
+        }
+
+        return false;
+    }
+
+    static save() {
+        if (File.existsSync(join(Server.paths.config, HBS.name || "", "schedules.json"))) {
+            File.unlinkSync(join(Server.paths.config, HBS.name || "", "schedules.json"));
+        }
+
+        File.appendFileSync(join(Server.paths.config, HBS.name || "", "schedules.json"), HBS.JSON.toString(HBS.schedules));
+    }
+
+    static validate(schedule) {
+        if (!schedule || !schedule.name || schedule.name === "") {
+            return "Invalid schedule name.";
+        }
+
+        if (types.indexOf(schedule.type) === -1) {
+            return "Invalid schedule type.";
+        }
+
+        if (schedule.type === "cron" && !Schedules.cron(schedule.cron)) {
+            return "Invalid cron expression.";
+        }
+
+        if (schedule.type !== "cron" && Number.isNaN(parseInt(schedule.offset || 0, 10))) {
+            return "Invalid offset.";
+        }
+
+        if (Schedules.status(schedule)) {
+            return Schedules.status(schedule);
+        }
+
+        if (policies.indexOf(schedule.missed || "skip") === -1) {
+            return "Invalid missed run policy.";
+        }
+
+        if (!Array.isArray(schedule.actions) || schedule.actions.length === 0) {
+            return "No actions defined.";
+        }
+
+        for (let i = 0; i < schedule.actions.length; i++) {
+            if (actions.indexOf(schedule.actions[i].type) === -1) {
+                return "Invalid action.";
+            }
+
+            if (schedule.actions[i].type === "set" && (!schedule.actions[i].aid || !schedule.actions[i].iid)) {
+                return "Invalid set action.";
+            }
+
+            if (schedule.actions[i].type === "scene" && !Scenes.get(parseInt(schedule.actions[i].scene, 10))) {
+                return "Invalid scene action.";
+            }
+        }
+
+        return null;
+    }
+
+    static normalize(schedule) {
+        const results = {
+            name: schedule.name,
+            enabled: schedule.enabled !== false,
+            type: schedule.type,
+            missed: schedule.missed || "skip"
+        };
+
+        if (results.type === "cron") {
+            results.cron = `${schedule.cron}`.trim().split(/\s+/).join(" ");
+        } else {
+            results.offset = parseInt(schedule.offset || 0, 10);
+            results.days = (schedule.days || []).map(d => parseInt(d, 10));
+        }
+
+        results.actions = schedule.actions.map((action) => {
+            if (action.type === "scene") {
+                return {
+                    type: action.type,
+                    scene: parseInt(action.scene, 10)
+                };
+            }
+
+            return {
+                type: action.type,
+                aid: parseInt(action.aid, 10),
+                iid: parseInt(action.iid, 10),
+                value: Schedules.parse(action.value)
+            };
+        });
+
+        return results;
+    }
+
+    static parse(value) {
+        if (typeof value !== "string") {
+            return value;
+        }
+
+        if (value.toLowerCase() === "true" || value.toLowerCase() === "false") {
+            return value.toLowerCase() === "true";
+        }
+
+        if (value.trim() !== "" && !Number.isNaN(Number(value))) {
+            return Number(value);
+        }
+
+        return value;
+    }
+
+    static cron(expression) {
+        const parts = `${expression || ""}`.trim().split(/\s+/);
+
+        if (parts.length !== fields.length) {
+            return null;
+        }
+
+        const results = [];
+
+        for (let i = 0; i < parts.length; i++) {
+            const values = Schedules.field(parts[i], fields[i].min, fields[i].max);
+
+            if (!values) {
+                return null;
+            }
+
+            results.push(values);
+        }
+
+        return {
+            minutes: results[0],
+            hours: results[1],
+            days: results[2],
+            months: results[3],
+            weekdays: results[4].map(d => d % 7),
+            restricted: {
+                days: parts[2] !== "*",
+                weekdays: parts[4] !== "*"
+            }
+        };
+    }
+
+    static field(value, min, max) {
+        const results = [];
+        const parts = value.split(",");
+
+        for (let i = 0; i < parts.length; i++) {
+            const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(parts[i]);
+
+            if (!match) {
+                return null;
+            }
+
+            let start = min;
+            let end = max;
+
+            if (match[1] !== "*") {
+                start = parseInt(match[2], 10);
+                end = match[3] !== undefined ? parseInt(match[3], 10) : start;
+
+                if (match[3] === undefined && match[4] !== undefined) {
+                    end = max;
+                }
+            }
+
+            const step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+
+            if (start < min || end > max || start > end || step < 1) {
+                return null;
+            }
+
+            for (let j = start; j <= end; j += step) {
+                if (results.indexOf(j) === -1) {
+                    results.push(j);
+                }
+            }
+        }
+
+        return results;
+    }
+
+    static matches(cron, date) {
+        const day = cron.days.indexOf(date.getDate()) >= 0;
+        const weekday = cron.weekdays.indexOf(date.getDay()) >= 0;
+
+        if (cron.restricted.days && cron.restricted.weekdays) {
+            return day || weekday;
+        }
+
+        return day && weekday;
+    }
+
+    static sun(date, latitude, longitude) {
+        const rad = Math.PI / 180;
+        const julian = (Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12) / 86400000) + 2440587.5;
+        const mean = Math.ceil(julian - 2451545 + 0.0008) - (longitude / 360);
+        const anomaly = (357.5291 + (0.98560028 * mean)) % 360;
+        const center = (1.9148 * Math.sin(anomaly * rad)) + (0.02 * Math.sin(2 * anomaly * rad)) + (0.0003 * Math.sin(3 * anomaly * rad));
+        const ecliptic = (anomaly + center + 180 + 102.9372) % 360;
+        const transit = 2451545 + mean + (0.0053 * Math.sin(anomaly * rad)) - (0.0069 * Math.sin(2 * ecliptic * rad));
+        const declination = Math.asin(Math.sin(ecliptic * rad) * Math.sin(23.4397 * rad));
+        const angle = (Math.sin(-0.833 * rad) - (Math.sin(latitude * rad) * Math.sin(declination))) / (Math.cos(latitude * rad) * Math.cos(declination));
+
+        if (angle < -1 || angle > 1) {
+            return {};
+        }
+
+        const hour = Math.acos(angle) / rad / 360;
+
+        return {
+            sunrise: new Date((transit - hour - 2440587.5) * 86400000),
+            sunset: new Date((transit + hour - 2440587.5) * 86400000)
+        };
+    }
+
+    static location() {
+        const client = (HBS.config || {}).client || {};
+        const latitude = parseFloat(client.latitude);
+        const longitude = parseFloat(client.longitude);
+
+        if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+            return null;
+        }
+
+        return {
+            latitude,
+            longitude
+        };
+    }
+
+    static status(schedule) {
+        if (schedule.type !== "cron" && !Schedules.location()) {
+            if ((((HBS.config || {}).client || {}).postal_code || "") !== "") {
+                return "Sunrise and sunset schedules can not use a postal code, set a latitude and longitude in the location settings.";
+            }
+
+            return "Sunrise and sunset schedules need a valid latitude and longitude in the location settings.";
+        }
+
+        return null;
+    }
+
+    static async upcoming(schedule, from, count, until) {
+        const results = [];
+        const limit = until || new Date(from.getTime() + (4 * 366 * 24 * 60 * 60 * 1000));
+
+        if (schedule.type === "cron") {
+            const cron = Schedules.cron(schedule.cron);
+
+            if (!cron) {
+                return results;
+            }
+
+            let date = new Date(from.getTime());
+
+            date.setSeconds(0, 0);
+            date = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes() + 1);
+
+            while (date <= limit && results.length < count) {
+                if (cron.months.indexOf(date.getMonth() + 1) === -1) {
+                    date = new Date(date.getFullYear(), date.getMonth() + 1, 1);
+                } else if (!Schedules.matches(cron, date)) {
+                    date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+                } else if (cron.hours.indexOf(date.getHours()) === -1) {
+                    date = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours() + 1);
+                } else if (cron.minutes.indexOf(date.getMinutes()) === -1) {
+                    date = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes() + 1);
+                } else {
+                    results.push(date);
+
+                    date = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes() + 1);
+                }
+            }
+
+            return results;
+        }
+
+        const location = Schedules.location();
+
+        if (!location) {
+            return results;
+        }
+
+        for (let i = -1; results.length < count; i++) {
+            const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + i, 12);
+
+            if (day > limit) {
+                break;
+            }
+
+            const event = Schedules.sun(day, location.latitude, location.longitude)[schedule.type];
+
+            if (event) {
+                const date = new Date(event.getTime() + ((schedule.offset || 0) * 60 * 1000));
+
+                date.setSeconds(0, 0);
+
+                if (date > from && date <= limit && ((schedule.days || []).length === 0 || schedule.days.indexOf(date.getDay()) >= 0)) {
+                    results.push(date);
+                }
+            }
+        }
+
+        return results;
+    }
+
+    static async next(schedule, count) {
+        return (await Schedules.upcoming(schedule, new Date(), count || 1)).map(d => d.toISOString());
+    }
+
+    static start() {
+        if (!listening) {
+            HBS.server.on("start", () => {
+                Schedules.recover();
+            });
+
+            listening = true;
+        }
+
+        Schedules.wait();
+    }
+
+    static stop() {
+        if (timer) {
+            clearTimeout(timer);
+        }
+
+        timer = null;
+    }
+
+    static wait() {
+        const now = new Date();
+
+        Schedules.stop();
+
+        timer = setTimeout(() => {
+            Schedules.tick();
+            Schedules.wait();
+        }, 60000 - ((now.getSeconds() * 1000) + now.getMilliseconds()));
+    }
+
+    static async tick() {
+        const now = new Date();
+
+        now.setSeconds(0, 0);
+
+        const schedules = (HBS.schedules || []).filter(s => s.enabled);
+
+        for (let i = 0; i < schedules.length; i++) {
+            const status = Schedules.status(schedules[i]);
+
+            if (status) {
+                if (warned.indexOf(schedules[i].id) === -1) {
+                    HBS.log.error(`[Schedule] "${schedules[i].name}" ${status}`);
+                    HBS.log.push.error("Schedules", `"${schedules[i].name}" ${status}`);
+
+                    warned.push(schedules[i].id);
+                }
+
+                continue;
+            }
+
+            try {
+                const due = (await Schedules.upcoming(schedules[i], new Date(now.getTime() - 1), 1, now))[0];
+
+                if (due) {
+                    if (HBS.server && HBS.server.running) {
+                        await Schedules.run(schedules[i], `scheduled for ${due.toLocaleString()}`);
+                    } else {
+                        HBS.log.debug(`[Schedule] "${schedules[i].name}" missed, bridge not running`);
+                    }
+                }
+            } catch (error) {
+                HBS.log.error(`[Schedule] "${schedules[i].name}" ${error.message}`);
+                HBS.log.debug(error.stack);
+            }
+        }
+    }
+
+    static async recover() {
+        const now = new Date();
+        const schedules = (HBS.schedules || []).filter(s => s.enabled && s.missed === "run");
+
+        for (let i = 0; i < schedules.length; i++) {
+            try {
+                const since = new Date(Math.max(schedules[i].last_run || 0, schedules[i].created || 0, now.getTime() - lookback));
+                const missed = await Schedules.upcoming(schedules[i], since, Number.MAX_SAFE_INTEGER, now);
+
+                if (missed.length > 0) {
+                    await Schedules.run(schedules[i], `missed run at ${missed[missed.length - 1].toLocaleString()}`);
+                }
+            } catch (error) {
+                HBS.log.error(`[Schedule] "${schedules[i].name}" ${error.message}`);
+                HBS.log.debug(error.stack);
+            }
+        }
+    }
+
+    static async run(schedule, reason) {
+        if (!HBS.server || !HBS.server.running) {
+            return false;
+        }
+
+        const hap = new HapClient();
+
+        HBS.log.info(`[Schedule] "${schedule.name}" ${reason}`);
+
+        for (let i = 0; i < schedule.actions.length; i++) {
+            const action = schedule.actions[i];
+
+            try {
+                if (action.type === "scene") {
+                    await Scenes.apply(action.scene);
+                } else {
+                    const service = (await hap.accessories()).find(s => s.aid === action.aid && s.characteristics.find(c => c.iid === action.iid));
+
+                    if (!service) {
+                        throw new Error(`characteristic ${action.aid}.${action.iid} not found`);
+                    }
+
+                    await hap.set(service, action.iid, action.value);
+                }
+            } catch (error) {
+                HBS.log.error(`[Schedule] "${schedule.name}" ${error.message}`);
+                HBS.log.debug(error.stack);
+            }
+        }
+
+        schedule.last_run = new Date().getTime();
+
+        Schedules.save();
+
+        return true;
+    }
+}
@@ -0,0 +1,362 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const _ = require("lodash");
+
+const File = require("fs-extra");
+const Crypto = require("crypto");
+
+const HBS = require("./instance");
+const Server = require("./server");
+const Validator = require("./validator");
+const Versions = require("./versions");
+
+const { join } = require("path");
+
+const pattern = /^\$secret:([0-9a-f]+)$/;
+
+let key = null;
+
+module.exports = class Secrets {
+    static get path() {
+        return join(Server.paths.config, HBS.name || "", "secrets.json");
+    }
+
+    static get key() {
+        if (!key) {
+            const filename = Secrets.file;
+
+            if (!File.existsSync(filename)) {
+                File.ensureDirSync(Server.paths.application);
+                File.writeFileSync(filename, Crypto.randomBytes(32).toString("hex"), {
+                    mode: 0o600
+                });
+            }
+
+            key = Buffer.from(File.readFileSync(filename).toString().trim(), "hex");
+        }
+
+        return key;
+    }
+
+    static get file() {
+        return join(Server.paths.application, "secrets.key");
+    }
+
+    static reload() {
+        key = null;
+
+        if (File.existsSync(Secrets.file)) {
+            File.chmodSync(Secrets.file, 0o600);
+        }
+    }
+
+    static isReference(value) {
+        return typeof value === "string" && pattern.test(value);
+    }
+
+    static load() {
+        return HBS.JSON.load(Secrets.path, {});
+    }
+
+    static save(vault) {
+        if (File.existsSync(Secrets.path)) {
+            File.unlinkSync(Secrets.path);
+        }
+
+        File.appendFileSync(Secrets.path, HBS.JSON.toString(vault));
+    }
+
+    static encrypt(value) {
+        const iv = Crypto.randomBytes(12);
+        const cipher = Crypto.createCipheriv("aes-256-gcm", Secrets.key, iv);
+        const data = Buffer.concat([cipher.update(`${value}`, "utf8"), cipher.final()]);
+
+        return [iv, cipher.getAuthTag(), data].map(b => b.toString("base64")).join(":");
+    }
+
+    static decrypt(value) {
+        const parts = `${value || ""}`.split(":").map(p => Buffer.from(p, "base64"));
+
+        if (parts.length !== 3) {
+            return null;
+        }
+
+        try {
+            const decipher = Crypto.createDecipheriv("aes-256-gcm", Secrets.key, parts[0]);
+
+            decipher.setAuthTag(parts[1]);
+
+            return Buffer.concat([decipher.update(parts[2]), decipher.final()]).toString("utf8");
+        } catch (_error) {
+            return null;
+        }
+    }
+
+    static store(vault, value) {
+        const id = Crypto.randomBytes(6).toString("hex");
+
+        vault[id] = Secrets.encrypt(value);
+
+        return `$secret:${id}`;
+    }
+
+    static resolve(value, vault) {
+        vault = vault || Secrets.load();
+
+        if (Secrets.isReference(value)) {
+            const secret = Secrets.decrypt(vault[value.match(pattern)[1]]);
+
+            if (secret === null) {
+                if (HBS.log) {
+                    HBS.log.warn(`[Secrets] Unable to resolve ${value}`);
+                }
+
+                return "";
+            }
+
+            return secret;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(v => Secrets.resolve(v, vault));
+        }
+
+        if (value && typeof value === "object") {
+            const results = {};
+            const keys = Object.keys(value);
+
+            for (let i = 0; i < keys.length; i++) {
+                results[keys[i]] = Secrets.resolve(value[keys[i]], vault);
+            }
+
+            return results;
+        }
+
+        return value;
+    }
+
+    static fields(schema, prefix) {
+        const results = [];
+        const properties = (schema || {}).properties || schema || {};
+        const keys = Object.keys(properties);
+
+        prefix = prefix || "";
+
+        for (let i = 0; i < keys.length; i++) {
+            const field = properties[keys[i]];
+
+            if (!field || typeof field !== "object") {
+                continue;
+            }
+
+            if (Secrets.hidden(field)) {
+                results.push(`${prefix}${keys[i]}`);
+            } else if (field.properties) {
+                results.push(...Secrets.fields(field.properties, `${prefix}${keys[i]}.`));
+            } else if (field.items && field.items.properties) {
+                results.push(...Secrets.fields(field.items.properties, `${prefix}${keys[i]}[].`));
+            } else if (field.items && Secrets.hidden(field.items)) {
+                results.push(`${prefix}${keys[i]}[]`);
+            }
+        }
+
+        return results;
+    }
+
+    static hidden(field) {
+        return (field.options || {}).hidden === true || field.format === "password" || (field["x-schema-form"] || {}).type === "password";
+    }
+
+    static expand(entry, path) {
+        const index = path.indexOf("[]");
+
+        if (index === -1) {
+            return [path];
+        }
+
+        const head = path.substring(0, index);
+        const tail = path.substring(index + 3);
+        const items = _.get(entry, head);
+        const results = [];
+
+        if (Array.isArray(items)) {
+            for (let i = 0; i < items.length; i++) {
+                results.push(...Secrets.expand(entry, `${head}[${i}]${tail !== "" ? `.${tail}` : ""}`));
+            }
+        }
+
+        return results;
+    }
+
+    static seal(config, schemas) {
+        const vault = Secrets.load();
+        const blocks = (config.platforms || []).map(entry => ({ type: "platform", entry })).concat((config.accessories || []).map(entry => ({ type: "accessory", entry })));
+
+        let changed = false;
+
+        schemas = schemas || Validator.schemas();
+
+        for (let i = 0; i < blocks.length; i++) {
+            const { type, entry } = blocks[i];
+
+            if (!entry || typeof entry !== "object") {
+                continue;
+            }
+
+            const schema = Validator.match(schemas, type, entry);
+            const plain = Secrets.resolve(entry, vault);
+            const paths = [];
+
+            const declared = (schema ? Secrets.fields(schema.schema) : []).concat(Array.isArray(entry.secret_fields) ? entry.secret_fields : []);
+
+            for (let j = 0; j < declared.length; j++) {
+                paths.push(...Secrets.expand(plain, declared[j]));
+            }
+
+            for (let j = 0; j < paths.length; j++) {
+                const value = _.get(plain, paths[j]);
+                const current = _.get(entry, paths[j]);
+
+                if (typeof value !== "string" || value === "") {
+                    continue;
+                }
+
+                if (Secrets.isReference(current) && Secrets.resolve(current, vault) === `${value}`) {
+                    _.set(plain, paths[j], current);
+                } else {
+                    _.set(plain, paths[j], Secrets.store(vault, value));
+
+                    changed = true;
+                }
+            }
+
+            const keys = Object.keys(entry);
+
+            for (let j = 0; j < keys.length; j++) {
+                delete entry[keys[j]];
+            }
+
+            Object.assign(entry, plain);
+        }
+
+        if (config.mqtt && typeof config.mqtt.password === "string" && config.mqtt.password !== "" && !Secrets.isReference(config.mqtt.password)) {
+            config.mqtt.password = Secrets.store(vault, config.mqtt.password);
+
+            changed = true;
+        }
+
+        if (changed) {
+            Secrets.save(vault);
+        }
+
+        return config;
+    }
+
+    static references(value, results) {
+        results = results || [];
+
+        if (Secrets.isReference(value)) {
+            results.push(value.match(pattern)[1]);
+        } else if (value && typeof value === "object") {
+            const keys = Object.keys(value);
+
+            for (let i = 0; i < keys.length; i++) {
+                Secrets.references(value[keys[i]], results);
+            }
+        }
+
+        return results;
+    }
+
+    static missing(config) {
+        const vault = Secrets.load();
+
+        return Secrets.references(config).filter(id => Secrets.decrypt(vault[id]) === null);
+    }
+
+    static affected(config) {
+        const results = (config.platforms || []).concat(config.accessories || []).filter(e => Secrets.missing(e).length > 0).map(e => e.name || e.platform || e.accessory);
+
+        if (config.mqtt && Secrets.missing(config.mqtt).length > 0) {
+            results.push("MQTT");
+        }
+
+        return results;
+    }
+
+    static start() {
+        try {
+            const schemas = Validator.schemas();
+            const config = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "config.json"), {});
+            const sealed = Secrets.seal(HBS.JSON.clone(config), schemas);
+
+            if (!HBS.JSON.equals(config, sealed)) {
+                HBS.log.info("[Secrets] Moving plugin credentials to the secrets store");
+
+                Server.saveConfig(sealed);
+            }
+
+            const versions = Versions.list();
+
+            for (let i = 0; i < versions.length; i++) {
+                const version = Versions.get(versions[i].id);
+
+                if (version && version.config) {
+                    const current = Secrets.seal(HBS.JSON.clone(version.config), schemas);
+
+                    if (!HBS.JSON.equals(version.config, current)) {
+                        version.config = current;
+
+                        Versions.save(version);
+                    }
+                }
+            }
+
+            Secrets.prune();
+        } catch (error) {
+            HBS.log.error(`[Secrets] ${error.message}`);
+        }
+    }
+
+    static prune() {
+        const vault = Secrets.load();
+        const used = Secrets.references(HBS.JSON.load(join(Server.paths.config, HBS.name || "", "config.json"), {}));
+        const copies = File.readdirSync(join(Server.paths.config, HBS.name || "")).filter(f => /^config-[0-9]+\.json$/.test(f));
+        const versions = Versions.list();
+
+        for (let i = 0; i < copies.length; i++) {
+            Secrets.references(HBS.JSON.load(join(Server.paths.config, HBS.name || "", copies[i]), {}), used);
+        }
+
+        for (let i = 0; i < versions.length; i++) {
+            Secrets.references((Versions.get(versions[i].id) || {}).config, used);
+        }
+
+        const keys = Object.keys(vault);
+        const unused = keys.filter(k => used.indexOf(k) === -1);
+
+        if (unused.length > 0) {
+            for (let i = 0; i < unused.length; i++) {
+                delete vault[unused[i]];
+            }
+
+            Secrets.save(vault);
+        }
+    }
+}
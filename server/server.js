@@ -26,22 +26,30 @@ const Request = require("axios");
 
 const HBS = require("./instance");
 const Cache = require("./cache");
+const types = require("./types");
 
 const { dirname, join, basename, extname } = require("path");
 const { spawn, fork, execSync } = require("child_process");
 
 module.exports = class Server {
-    constructor(options) {
+    constructor(options, bridge) {
         this.version = HBS.application.version;
+        this.options = options;
+        this.bridge = bridge || null;
 
         this.arguments = [
             "bridge",
             "-u",
-            join(Server.paths.config, HBS.name || ""),
+            bridge ? join(Server.paths.config, HBS.name || "", "bridges", bridge) : join(Server.paths.config, HBS.name || ""),
             "-p",
             Server.paths.modules.local
         ].concat(options || []);
 
+        if (bridge) {
+            this.arguments.push("-s");
+            this.arguments.push(bridge);
+        }
+
         if (HBS.docker) {
             this.arguments.push("-c");
         }
@@ -53,10 +61,17 @@ module.exports = class Server {
 
         this.proc = null;
         this.events = {};
+        this.children = {};
+        this.errors = [];
         this.running = false;
+        this.stopping = false;
         this.time = new Date();
     }
 
+    get title() {
+        return this.bridge ? `Bridge (${this.bridge})` : "Bridge";
+    }
+
     static get paths() {
         let modules;
 
@@ -85,6 +100,7 @@ module.exports = class Server {
             config: join(home, "etc"),
             interface: join(root, "interface"),
             backups: join(home, "backups"),
+            logs: join(home, "logs"),
             modules: {
                 local: join(home, "node_modules"),
                 global: modules
@@ -139,6 +155,53 @@ module.exports = class Server {
         return value;
     }
 
+    static isolated(config) {
+        const results = [];
+        const entries = (config.platforms || []).concat(config.accessories || []);
+
+        for (let i = 0; i < entries.length; i++) {
+            const name = (entries[i].plugin_map || {}).plugin_name;
+
+            if (entries[i].isolated && name && results.indexOf(name) === -1 && (config.disabled || []).indexOf(name) === -1) {
+                results.push(name);
+            }
+        }
+
+        return results;
+    }
+
+    static partition(config, bridge) {
+        const current = HBS.JSON.clone(config);
+        const owner = (entry) => (entry.plugin_map || {}).plugin_name;
+
+        if (bridge) {
+            const settings = (config.bridges || {})[bridge] || {};
+
+            current.plugins = (config.plugins || []).filter(p => p === bridge);
+            current.platforms = (config.platforms || []).filter(p => p.isolated && owner(p) === bridge);
+            current.accessories = (config.accessories || []).filter(a => a.isolated && owner(a) === bridge);
+            current.ports = undefined;
+
+            current.bridge = {
+                ...config.bridge,
+                name: `${config.bridge.name} ${bridge}`,
+                username: settings.username,
+                port: settings.port,
+                setupID: undefined
+            };
+        } else {
+            const isolated = Server.isolated(config);
+            const disabled = config.disabled || [];
+
+            current.platforms = (config.platforms || []).filter(p => (!p.isolated || !owner(p)) && disabled.indexOf(owner(p)) === -1);
+            current.accessories = (config.accessories || []).filter(a => (!a.isolated || !owner(a)) && disabled.indexOf(owner(a)) === -1);
+
+            current.plugins = (config.plugins || []).filter(p => disabled.indexOf(p) === -1 && (isolated.indexOf(p) === -1 || current.platforms.concat(current.accessories).findIndex(e => owner(e) === p) >= 0));
+        }
+
+        return current;
+    }
+
     static async configure() {
         let init = false;
 
@@ -224,6 +287,29 @@ module.exports = class Server {
             current.server.port = 80;
         }
 
+        const isolated = Server.isolated(current);
+
+        if (isolated.length > 0) {
+            current.bridges = current.bridges || {};
+
+            for (let i = 0; i < isolated.length; i++) {
+                if (!current.bridges[isolated[i]]) {
+                    const ports = Object.keys(current.bridges).map(b => current.bridges[b].port);
+
+                    current.bridges[isolated[i]] = {
+                        username: Server.generateUsername(),
+                        port: Math.max(current.bridge.port, ...ports) + 1
+                    };
+                }
+
+                if (!current.bridges[isolated[i]].offset) {
+                    const offsets = Object.keys(current.bridges).map(b => current.bridges[b].offset || 0);
+
+                    current.bridges[isolated[i]].offset = Math.max(...offsets) + 10000;
+                }
+            }
+        }
+
         if (!current.server.origin) {
             current.server.origin = "*";
         }
@@ -234,16 +320,38 @@ module.exports = class Server {
             current.package_manager = "npm";
         }
 
+        let token = null;
+
+        const HTTPS = require("./https");
+
         if (HBS.name && HBS.name !== "" && current.server.client) {
-            const token = (await Request.post(`${current.server.client}/api/auth`, {
-                username: current.server.credentials.username,
-                password: current.server.credentials.password
-            })).data.token;
+            const credentials = current.server.credentials || {};
+
+            token = credentials.key || null;
+
+            if (!token) {
+                const login = (await Request.post(`${current.server.client}/api/auth`, {
+                    username: credentials.username,
+                    password: credentials.password
+                }, {
+                    httpsAgent: HTTPS.agent()
+                })).data;
 
+                if (login.totp) {
+                    (HBS.log || console).error(`[Instance] "${credentials.username}" has two-factor authentication enabled, set an admin API key as server.credentials.key to register this instance.`);
+                }
+
+                token = login.token;
+            }
+        }
+
+        if (token) {
             Request.defaults.headers.put["Authorization"] = token;
 
             await Request.put(`${current.server.client}/api/config/register`, {
-                instance: `http://${Server.interfaces()[0]}:${current.server.port}`
+                instance: `${(current.server.https || {}).enabled ? "https" : "http"}://${Server.interfaces()[0]}:${current.server.port}`
+            }, {
+                httpsAgent: HTTPS.agent()
             });
 
             if (File.existsSync(join(Server.paths.config, HBS.name || "", "access.json"))) {
@@ -252,7 +360,9 @@ module.exports = class Server {
 
             Request.defaults.headers.get["Authorization"] = token;
 
-            const access = (await Request.get(`${current.server.client}/api/auth/sync`)).data;
+            const access = (await Request.get(`${current.server.client}/api/auth/sync`, {
+                httpsAgent: HTTPS.agent()
+            })).data;
 
             File.appendFileSync(join(Server.paths.config, HBS.name || "", "access.json"), HBS.JSON.toString(access));
         }
@@ -262,7 +372,7 @@ module.exports = class Server {
         return current;
     }
 
-    static saveConfig(config) {
+    static saveConfig(config, user, revert) {
         if (config) {
             const current = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "config.json"), {});
 
@@ -275,6 +385,8 @@ module.exports = class Server {
             if (!HBS.JSON.equals(config, current)) {
                 File.unlinkSync(join(Server.paths.config, HBS.name || "", "config.json"));
                 File.appendFileSync(join(Server.paths.config, HBS.name || "", "config.json"), HBS.JSON.toString(config));
+
+                require("./versions").record(config, current, user, revert);
             }
         }
     }
@@ -463,6 +575,12 @@ module.exports = class Server {
         HBS.admin = false;
         HBS.cache = new Cache();
         HBS.users = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "access.json"), []);
+        HBS.scenes = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "scenes.json"), []);
+        HBS.automations = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "automations.json"), []);
+        HBS.schedules = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "schedules.json"), []);
+        HBS.jobs = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "jobs.json"), []);
+        HBS.crashes = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "crashes.json"), []);
+        HBS.webhooks = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "webhooks.json"), []);
         HBS.application = HBS.JSON.load(join(Server.paths.application, "/package.json"));
 
         if (!File.existsSync(join(Server.paths.config, HBS.name || "", "layout.json"))) {
@@ -485,7 +603,7 @@ module.exports = class Server {
         }
     }
 
-    static reset() {
+    static reset(session) {
         HBS.server.stop().then(async () => {
             const config = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "config.json"), {});
             const port = (config.server || {}).port || 80;
@@ -529,13 +647,13 @@ module.exports = class Server {
             await Server.reload();
 
             HBS.server.restart().then(() => {
-                HBS.log.command("unlock");
+                HBS.log.command("unlock", null, session);
                 HBS.log.command("refresh");
             });
         });
     }
 
-    static backup() {
+    static backup(session) {
         File.ensureDirSync(Server.paths.backups);
 
         if (File.existsSync(join(Server.paths.modules.local, "hap-nodejs"))) {
@@ -556,16 +674,22 @@ module.exports = class Server {
 
             HBS.log.push.info("System Backup", "Backup Complete");
 
+            if (HBS.server) {
+                HBS.server.emit("backup", {
+                    filename: `${filename}.hbfx`
+                });
+            }
+
             HBS.log.command("download", {
                 filename: `/backups/${filename}.hbfx`
-            });
+            }, session);
 
-            HBS.log.command("unlock");
+            HBS.log.command("unlock", null, session);
         });
 
         archive.on("error", (_error) => {
             HBS.log.push.error("System Backup", error.message || "Unable to create backup");
-            HBS.log.command("unlock");
+            HBS.log.command("unlock", null, session);
         });
 
         archive.pipe(output);
@@ -612,7 +736,7 @@ module.exports = class Server {
         return null;
     }
 
-    static restore(file) {
+    static restore(file, session) {
         HBS.log.info("[Restore System] Restore started.");
 
         const filename = Server.checkRestore(file);
@@ -652,10 +776,21 @@ module.exports = class Server {
                         stdio: ["inherit", "inherit", "inherit"]
                     });
 
+                    const Secrets = require("./secrets");
+
+                    Secrets.reload();
+
+                    const missing = Secrets.affected(HBS.JSON.load(join(Server.paths.config, HBS.name || "", "config.json"), {}));
+
+                    if (missing.length > 0) {
+                        HBS.log.error(`[Restore System] Stored credentials can not be decrypted on this device, re-enter the passwords for ${missing.join(", ")}.`);
+                        HBS.log.push.error("System Restore", `Backups do not include stored credentials, re-enter the passwords for ${missing.join(", ")}`);
+                    }
+
                     await Server.reload();
 
                     HBS.server.restart().then(() => {
-                        HBS.log.command("unlock");
+                        HBS.log.command("unlock", null, session);
                         HBS.log.command("refresh");
                     });
                 });
@@ -681,22 +816,92 @@ module.exports = class Server {
                 break;
 
             case "start":
-                this.events.start = callback;
-                break;
-
             case "stop":
-                this.events.stop = callback;
-                break;
-
             case "update":
-                this.events.update = callback;
+            case "characteristic":
+            case "backup":
+            case "crash":
+                this.events[event] = this.events[event] || [];
+                this.events[event].push(callback);
                 break;
         }
     }
 
+    emit(event, data) {
+        const callbacks = this.events[event] || [];
+
+        for (let i = 0; i < callbacks.length; i++) {
+            callbacks[i](data);
+        }
+    }
+
+    isolate() {
+        const isolated = this.bridge ? [] : Server.isolated(HBS.config);
+        const current = Object.keys(this.children);
+
+        for (let i = 0; i < current.length; i++) {
+            if (isolated.indexOf(current[i]) === -1) {
+                this.children[current[i]].stop();
+
+                delete this.children[current[i]];
+            }
+        }
+
+        for (let i = 0; i < isolated.length; i++) {
+            const name = isolated[i];
+
+            if (!this.children[name]) {
+                this.children[name] = new Server(this.options, name);
+
+                this.children[name].on("crash", (data) => {
+                    this.emit("crash", data);
+                });
+
+                this.children[name].on("update", () => {
+                    this.emit("update");
+                });
+
+                this.children[name].on("characteristic", (data) => {
+                    this.emit("characteristic", {
+                        ...data,
+                        aid: data.aid + (((HBS.config.bridges || {})[name] || {}).offset || 0),
+                        bridge: name
+                    });
+                });
+            }
+
+            this.children[name].start();
+        }
+    }
+
+    bridges() {
+        return Object.keys(this.children).map(name => ({
+            name,
+            running: this.children[name].running,
+            status: this.children[name].running ? "running" : "stopped",
+            uptime: new Date() - this.children[name].time,
+            port: ((HBS.config.bridges || {})[name] || {}).port,
+            username: ((HBS.config.bridges || {})[name] || {}).username,
+            setup_uri: this.children[name].setup || null
+        }));
+    }
+
+    capture(line) {
+        this.errors.push(line);
+
+        while (this.errors.length > 20) {
+            this.errors.shift();
+        }
+    }
+
     start() {
+        this.isolate();
+
         return new Promise((resolve) => {
             if (!this.running) {
+                this.errors = [];
+                this.stopping = false;
+
                 File.ensureSymlinkSync(Server.paths.hap, join(Server.paths.modules.local, "hap-nodejs"));
 
                 HBS.cache.remove("hap/accessories");
@@ -713,18 +918,27 @@ module.exports = class Server {
                             this.running = true;
                             this.time = new Date();
 
-                            HBS.log.debug(`Bridge started: ${this.time}`);
-                            HBS.log.push.info("Bridge", "Bridge service started");
+                            HBS.log.debug(`${this.title} started: ${this.time}`);
+                            HBS.log.push.info(this.title, "Bridge service started");
 
-                            if (this.events.start) {
-                                this.events.start();
-                            }
+                            this.emit("start");
 
                             resolve();
                             break;
 
+                        case "log":
+                            HBS.log.write(response.data);
+
+                            if (response.data && (response.data.level === "error" || response.data.level === "fatal")) {
+                                this.capture(response.data.message);
+                            }
+
+                            break;
+
                         case "error_log":
                             HBS.log.error(response.data);
+
+                            this.capture(response.data);
                             break;
 
                         case "info_log":
@@ -736,9 +950,11 @@ module.exports = class Server {
                             break;
 
                         case "setup_uri":
-                            HBS.log.debug(`Setup URI: ${response.data}`);
+                            HBS.log.debug(`${this.title} Setup URI: ${response.data}`);
 
-                            if (HBS.config.server.home_setup_id !== response.data) {
+                            this.setup = response.data;
+
+                            if (!this.bridge && HBS.config.server.home_setup_id !== response.data) {
                                 HBS.config.server.home_setup_id = response.data;
 
                                 Server.saveConfig(HBS.config);
@@ -749,9 +965,15 @@ module.exports = class Server {
                         case "accessory_change":
                             HBS.log.debug("Accessory refresh triggered");
 
-                            if (this.events.update) {
-                                this.events.update();
-                            }
+                            this.emit("update");
+
+                            break;
+
+                        case "characteristic_change":
+                            response.data.type = types.characteristics[response.data.characteristic];
+                            response.data.service_type = types.services[response.data.service];
+
+                            this.emit("characteristic", response.data);
 
                             break;
 
@@ -787,6 +1009,8 @@ module.exports = class Server {
                         if (line !== "") {
                             HBS.log.error(line);
 
+                            this.capture(line);
+
                             if (this.stderr) {
                                 this.stderr(line);
                             }
@@ -794,14 +1018,21 @@ module.exports = class Server {
                     }
                 });
 
-                this.proc.on("exit", (data) => {
+                this.proc.on("exit", (code, signal) => {
                     this.running = false;
                     this.time = new Date();
 
-                    HBS.log.push.error("Bridge", "Bridge service stopped");
+                    HBS.log.push.error(this.title, "Bridge service stopped");
+
+                    this.emit("stop");
 
-                    if (this.events.stop) {
-                        this.events.stop();
+                    if (!this.stopping) {
+                        this.emit("crash", {
+                            bridge: this.bridge,
+                            code,
+                            signal,
+                            stderr: this.errors.slice()
+                        });
                     }
 
                     this.proc.kill("SIGINT");
@@ -814,10 +1045,14 @@ module.exports = class Server {
         });
     }
 
-    stop() {
+    async stop() {
+        this.stopping = true;
+
+        await Promise.all(Object.keys(this.children).map(name => this.children[name].stop()));
+
         return new Promise((resolve) => {
             if (this.running) {
-                if (File.existsSync(join(Server.paths.modules.local, "hap-nodejs"))) {
+                if (!this.bridge && File.existsSync(join(Server.paths.modules.local, "hap-nodejs"))) {
                     try {
                         File.unlinkSync(join(Server.paths.modules.local, "hap-nodejs"));
                     } catch (_error) {
@@ -829,10 +1064,6 @@ module.exports = class Server {
                     this.running = false;
                     this.time = new Date();
 
-                    if (this.events.stop) {
-                        this.events.stop();
-                    }
-
                     resolve();
                 });
 
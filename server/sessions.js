@@ -0,0 +1,214 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const File = require("fs-extra");
+const Crypto = require("crypto");
+
+const HBS = require("./instance");
+const Server = require("./server");
+const Sockets = require("./sockets");
+
+const { join } = require("path");
+
+let key = null;
+
+module.exports = class Sessions {
+    static get path() {
+        return join(Server.paths.config, HBS.name || "", "sessions.json");
+    }
+
+    static get key() {
+        if (!key) {
+            const filename = join(Server.paths.application, "session.key");
+
+            if (!File.existsSync(filename)) {
+                File.ensureDirSync(Server.paths.application);
+                File.writeFileSync(filename, Crypto.randomBytes(32).toString("hex"), {
+                    mode: 0o600
+                });
+            }
+
+            key = Buffer.from(File.readFileSync(filename).toString().trim(), "hex");
+        }
+
+        return key;
+    }
+
+    static sign(payload) {
+        return Crypto.createHmac("sha256", Sessions.key).update(payload).digest("hex");
+    }
+
+    static verify(payload, signature) {
+        const expected = Buffer.from(Sessions.sign(payload), "hex");
+        const actual = Buffer.from(`${signature || ""}`, "hex");
+
+        return actual.length === expected.length && Crypto.timingSafeEqual(actual, expected);
+    }
+
+    static device(agent) {
+        agent = agent || "";
+
+        let browser = "Unknown";
+        let platform = "Unknown";
+
+        if (/Edg\//.test(agent)) {
+            browser = "Edge";
+        } else if (/OPR\//.test(agent)) {
+            browser = "Opera";
+        } else if (/Chrome\//.test(agent)) {
+            browser = "Chrome";
+        } else if (/Firefox\//.test(agent)) {
+            browser = "Firefox";
+        } else if (/Safari\//.test(agent)) {
+            browser = "Safari";
+        } else if (agent !== "") {
+            browser = agent.split(/[\s/]/)[0];
+        }
+
+        if (/iPhone|iPad|iPod/.test(agent)) {
+            platform = "iOS";
+        } else if (/Android/.test(agent)) {
+            platform = "Android";
+        } else if (/Windows/.test(agent)) {
+            platform = "Windows";
+        } else if (/Mac OS X|Macintosh/.test(agent)) {
+            platform = "macOS";
+        } else if (/CrOS/.test(agent)) {
+            platform = "Chrome OS";
+        } else if (/Linux/.test(agent)) {
+            platform = "Linux";
+        }
+
+        return `${browser} on ${platform}`;
+    }
+
+    static expired(session, now) {
+        return (now || new Date().getTime()) - session.last > session.ttl * 60 * 1000;
+    }
+
+    static get(id) {
+        return (HBS.sessions || []).filter(s => s.id === id)[0];
+    }
+
+    static list(user) {
+        const now = new Date().getTime();
+
+        return (HBS.sessions || []).filter(s => (user === undefined || s.user === user) && !Sessions.expired(s, now)).map(s => ({
+            id: s.id,
+            user: s.user,
+            created: s.created,
+            last: s.last,
+            ip: s.ip,
+            agent: s.agent,
+            device: Sessions.device(s.agent)
+        }));
+    }
+
+    static create(user, ttl, meta) {
+        const now = new Date().getTime();
+
+        const session = {
+            id: Crypto.randomBytes(16).toString("hex"),
+            user,
+            created: now,
+            last: now,
+            ttl,
+            ip: (meta || {}).ip || null,
+            agent: (meta || {}).agent || null
+        };
+
+        HBS.sessions = (HBS.sessions || []).filter(s => !Sessions.expired(s, now));
+        HBS.sessions.push(session);
+
+        Sessions.save();
+
+        return session;
+    }
+
+    static touch(session, ip) {
+        const now = new Date().getTime();
+        const stale = now - session.last > 60 * 1000 || (ip && session.ip !== ip);
+
+        session.last = now;
+
+        if (ip) {
+            session.ip = ip;
+        }
+
+        if (stale) {
+            Sessions.save();
+        }
+    }
+
+    static revoke(id) {
+        const index = (HBS.sessions || []).findIndex(s => s.id === id);
+
+        if (index >= 0) {
+            HBS.sessions.splice(index, 1);
+
+            Sessions.save();
+            Sockets.close([id]);
+
+            return true;
+        }
+
+        return false;
+    }
+
+    static revokeUser(user, except) {
+        const count = (HBS.sessions || []).length;
+        const revoked = (HBS.sessions || []).filter(s => s.user === user && s.id !== except).map(s => s.id);
+
+        HBS.sessions = (HBS.sessions || []).filter(s => s.user !== user || s.id === except);
+
+        if (HBS.sessions.length !== count) {
+            Sessions.save();
+            Sockets.close(revoked);
+        }
+
+        return count - HBS.sessions.length;
+    }
+
+    static prune() {
+        const now = new Date().getTime();
+        const count = (HBS.sessions || []).length;
+        const active = (HBS.sessions || []).filter(s => !Sessions.expired(s, now) && (HBS.users || []).findIndex(u => u.id === s.user) >= 0);
+        const revoked = (HBS.sessions || []).filter(s => active.indexOf(s) === -1).map(s => s.id);
+
+        HBS.sessions = active;
+
+        if (HBS.sessions.length !== count) {
+            Sessions.save();
+            Sockets.close(revoked);
+        }
+    }
+
+    static save() {
+        try {
+            if (File.existsSync(Sessions.path)) {
+                File.unlinkSync(Sessions.path);
+            }
+
+            File.appendFileSync(Sessions.path, HBS.JSON.toString(HBS.sessions || []));
+        } catch (error) {
+            if (HBS.log) {
+                HBS.log.error(`[Sessions] ${error.message}`);
+            }
+        }
+    }
+}
@@ -0,0 +1,98 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const interval = 30 * 1000;
+const sockets = [];
+
+let timer = null;
+
+module.exports = class Sockets {
+    static watch(socket) {
+        socket.alive = true;
+
+        socket.on("pong", () => {
+            socket.alive = true;
+        });
+
+        socket.on("close", () => {
+            const index = sockets.indexOf(socket);
+
+            if (index >= 0) {
+                sockets.splice(index, 1);
+            }
+        });
+
+        sockets.push(socket);
+
+        if (!timer) {
+            timer = setInterval(() => {
+                Sockets.heartbeat();
+            }, interval);
+        }
+    }
+
+    static bind(socket, sid, token) {
+        socket.sid = sid || null;
+        socket.token = token || null;
+    }
+
+    static close(sessions) {
+        const current = sockets.filter(s => s.sid && sessions.indexOf(s.sid) >= 0);
+
+        for (let i = 0; i < current.length; i++) {
+            current[i].close();
+        }
+
+        return current.length;
+    }
+
+    static heartbeat() {
+        const User = require("./user");
+        const current = sockets.slice();
+
+        for (let i = 0; i < current.length; i++) {
+            if (!current[i].alive) {
+                current[i].terminate();
+            } else {
+                current[i].alive = false;
+
+                try {
+                    current[i].ping();
+                } catch (_error) {
+                    current[i].terminate();
+                }
+            }
+
+            if (User.client && current[i].token) {
+                const socket = current[i];
+
+                User.remote(socket.token).then((valid) => {
+                    if (!valid) {
+                        socket.close();
+                    }
+                });
+            }
+        }
+
+        if (sockets.length === 0 && timer) {
+            clearInterval(timer);
+
+            timer = null;
+        }
+    }
+}
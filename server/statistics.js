@@ -0,0 +1,173 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const File = require("fs-extra");
+
+const HBS = require("./instance");
+const Server = require("./server");
+
+const { join } = require("path");
+
+const levels = ["minute", "hour", "day"];
+
+const retention = {
+    minute: 24 * 60 * 60 * 1000,
+    hour: 31 * 24 * 60 * 60 * 1000,
+    day: 366 * 24 * 60 * 60 * 1000
+};
+
+const samples = [];
+const rollups = {};
+
+module.exports = class Statistics {
+    static get path() {
+        return join(Server.paths.config, HBS.name || "", "statistics");
+    }
+
+    static bucket(level, time) {
+        const date = new Date(time);
+
+        switch (level) {
+            case "minute":
+                return new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes()).getTime();
+
+            case "hour":
+                return new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()).getTime();
+
+            default:
+                return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+        }
+    }
+
+    static load(level) {
+        if (!rollups[level]) {
+            rollups[level] = [];
+
+            const filename = join(Statistics.path, `${level}.log`);
+
+            if (File.existsSync(filename)) {
+                const lines = File.readFileSync(filename).toString().split(/\r?\n/);
+                const expired = new Date().getTime() - retention[level];
+
+                for (let i = 0; i < lines.length; i++) {
+                    const entry = HBS.JSON.tryParse(lines[i]);
+
+                    if (Array.isArray(entry) && entry[0] >= expired) {
+                        rollups[level].push(entry);
+                    }
+                }
+            }
+        }
+
+        return rollups[level];
+    }
+
+    static average(entries, index) {
+        const values = entries.map(e => e[index]).filter(v => v !== null && v !== undefined && !Number.isNaN(v) && v >= 0);
+
+        if (values.length === 0) {
+            return null;
+        }
+
+        return Math.round((values.reduce((total, value) => total + value, 0) / values.length) * 10) / 10;
+    }
+
+    static record(cpu, memory, temp) {
+        const now = new Date().getTime();
+        const current = Statistics.bucket("minute", now);
+
+        if (samples.length > 0 && Statistics.bucket("minute", samples[0][0]) < current) {
+            const entries = samples.splice(0, samples.length);
+
+            Statistics.append("minute", [
+                Statistics.bucket("minute", entries[0][0]),
+                Statistics.average(entries, 1),
+                Statistics.average(entries, 2),
+                Statistics.average(entries, 3)
+            ]);
+        }
+
+        samples.push([now, cpu, memory, temp]);
+    }
+
+    static append(level, entry) {
+        const entries = Statistics.load(level);
+        const previous = entries[entries.length - 1];
+
+        entries.push(entry);
+
+        try {
+            File.ensureDirSync(Statistics.path);
+            File.appendFileSync(join(Statistics.path, `${level}.log`), `${JSON.stringify(entry)}\n`);
+        } catch (error) {
+            HBS.log.error(`[Statistics] ${error.message}`);
+        }
+
+        const next = levels[levels.indexOf(level) + 1];
+
+        if (!next) {
+            Statistics.prune(level);
+        } else if (previous && Statistics.bucket(next, previous[0]) < Statistics.bucket(next, entry[0])) {
+            const bucket = Statistics.bucket(next, previous[0]);
+            const rolled = entries.filter(e => Statistics.bucket(next, e[0]) === bucket);
+
+            Statistics.prune(level);
+            Statistics.append(next, [
+                bucket,
+                Statistics.average(rolled, 1),
+                Statistics.average(rolled, 2),
+                Statistics.average(rolled, 3)
+            ]);
+        }
+    }
+
+    static prune(level) {
+        const expired = new Date().getTime() - retention[level];
+
+        rollups[level] = Statistics.load(level).filter(e => e[0] >= expired);
+
+        try {
+            File.writeFileSync(join(Statistics.path, `${level}.log`), rollups[level].map(e => `${JSON.stringify(e)}\n`).join(""));
+        } catch (error) {
+            HBS.log.error(`[Statistics] ${error.message}`);
+        }
+    }
+
+    static query(from, to, resolution) {
+        if (levels.indexOf(resolution) === -1) {
+            if (to - from <= retention.minute) {
+                resolution = "minute";
+            } else if (to - from <= retention.hour) {
+                resolution = "hour";
+            } else {
+                resolution = "day";
+            }
+        }
+
+        const entries = Statistics.load(resolution).filter(e => e[0] >= from && e[0] <= to);
+
+        return {
+            from,
+            to,
+            resolution,
+            cpu: entries.map(e => [e[0], e[1]]),
+            memory: entries.map(e => [e[0], e[2]]),
+            temp: entries.filter(e => e[3] !== null).map(e => [e[0], e[3]])
+        };
+    }
+}
@@ -0,0 +1,87 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const free = 3;
+const limit = 10;
+const lockout = 15 * 60 * 1000;
+
+const attempts = {};
+
+module.exports = class Throttle {
+    static key(type, value) {
+        return `${type}:${`${value || ""}`.toLowerCase()}`;
+    }
+
+    static wait(ip, username) {
+        const now = new Date().getTime();
+
+        let results = 0;
+
+        for (const key of [Throttle.key("ip", ip), Throttle.key("user", username)]) {
+            if (attempts[key] && attempts[key].until > now) {
+                results = Math.max(results, attempts[key].until - now);
+            }
+        }
+
+        return results;
+    }
+
+    static fail(ip, username) {
+        const now = new Date().getTime();
+
+        let locked = false;
+
+        Throttle.prune(now);
+
+        for (const key of [Throttle.key("ip", ip), Throttle.key("user", username)]) {
+            const entry = attempts[key] || {
+                count: 0,
+                last: 0,
+                until: 0
+            };
+
+            entry.count++;
+            entry.last = now;
+
+            if (entry.count >= limit) {
+                entry.until = now + lockout;
+
+                locked = locked || entry.count === limit;
+            } else if (entry.count > free) {
+                entry.until = now + (Math.pow(2, entry.count - free - 1) * 1000);
+            }
+
+            attempts[key] = entry;
+        }
+
+        return locked;
+    }
+
+    static clear(ip, username) {
+        delete attempts[Throttle.key("ip", ip)];
+        delete attempts[Throttle.key("user", username)];
+    }
+
+    static prune(now) {
+        for (const key of Object.keys(attempts)) {
+            if (now - attempts[key].last > lockout && attempts[key].until <= now) {
+                delete attempts[key];
+            }
+        }
+    }
+}
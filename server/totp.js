@@ -0,0 +1,135 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const Crypto = require("crypto");
+
+const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const step = 30;
+const digits = 6;
+const window = 1;
+
+module.exports = class Totp {
+    static encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let results = "";
+
+        for (let i = 0; i < buffer.length; i++) {
+            value = (value << 8) | buffer[i];
+            bits += 8;
+
+            while (bits >= 5) {
+                results += alphabet[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+
+        if (bits > 0) {
+            results += alphabet[(value << (5 - bits)) & 31];
+        }
+
+        return results;
+    }
+
+    static decode(value) {
+        const input = `${value || ""}`.toUpperCase().replace(/[\s=-]/g, "");
+        const results = [];
+
+        let bits = 0;
+        let current = 0;
+
+        for (let i = 0; i < input.length; i++) {
+            const index = alphabet.indexOf(input[i]);
+
+            if (index === -1) {
+                return null;
+            }
+
+            current = (current << 5) | index;
+            bits += 5;
+
+            if (bits >= 8) {
+                results.push((current >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(results);
+    }
+
+    static secret() {
+        return Totp.encode(Crypto.randomBytes(20));
+    }
+
+    static counter(time) {
+        return Math.floor((time === undefined ? new Date().getTime() : time) / 1000 / step);
+    }
+
+    static hotp(key, counter, length, algorithm) {
+        const buffer = Buffer.alloc(8);
+
+        buffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+        buffer.writeUInt32BE(counter % 0x100000000, 4);
+
+        const hash = Crypto.createHmac(algorithm || "sha1", key).update(buffer).digest();
+        const offset = hash[hash.length - 1] & 15;
+        const binary = ((hash[offset] & 127) << 24) | (hash[offset + 1] << 16) | (hash[offset + 2] << 8) | hash[offset + 3];
+
+        return `${binary % Math.pow(10, length || digits)}`.padStart(length || digits, "0");
+    }
+
+    static generate(secret, time, length, algorithm) {
+        return Totp.hotp(Totp.decode(secret), Totp.counter(time), length, algorithm);
+    }
+
+    static verify(secret, code, last, time) {
+        const key = Totp.decode(secret);
+        const current = Totp.counter(time);
+        const value = `${code || ""}`.replace(/\s/g, "");
+
+        if (!key || !/^\d{6}$/.test(value)) {
+            return false;
+        }
+
+        for (let i = -window; i <= window; i++) {
+            const counter = current + i;
+
+            if ((last === undefined || last === null || counter > last) && Crypto.timingSafeEqual(Buffer.from(Totp.hotp(key, counter)), Buffer.from(value))) {
+                return counter;
+            }
+        }
+
+        return false;
+    }
+
+    static uri(username, secret) {
+        return `otpauth://totp/HOOBS:${encodeURIComponent(username)}?secret=${secret}&issuer=HOOBS&algorithm=SHA1&digits=${digits}&period=${step}`;
+    }
+
+    static recovery() {
+        const results = [];
+
+        for (let i = 0; i < 10; i++) {
+            const code = Crypto.randomBytes(5).toString("hex");
+
+            results.push(`${code.substring(0, 5)}-${code.substring(5)}`);
+        }
+
+        return results;
+    }
+}
@@ -18,36 +18,166 @@
 
 const File = require("fs-extra");
 const Crypto = require("crypto");
+const Request = require("axios");
 
 const HBS = require("./instance");
 const Server = require("./server");
+const Totp = require("./totp");
+const Audit = require("./audit");
+const Throttle = require("./throttle");
+const Webhooks = require("./webhooks");
+const Sessions = require("./sessions");
+const HTTPS = require("./https");
 
 const { join } = require("path");
 
+const routes = [
+    ["GET", /^\/api\/(accessories|accessory|scenes|scene|status)(\/|$)/],
+    ["GET", /^\/metrics$/]
+];
+
+const permissions = ["view", "control", "automate", "service", "plugins", "config", "system", "users"];
+
+const roles = {
+    viewer: ["view"],
+    operator: ["view", "control", "automate", "service"],
+    plugin_manager: ["view", "control", "automate", "service", "plugins", "config"],
+    admin: permissions
+};
+
+const rules = [
+    ["GET", /^\/api\/config\/(history|diff)(\/|$)/, "config"],
+    ["GET", /^\/api\/cockpit(\/|$)/, "system"],
+    ["GET", /^\/api\/(webhooks|webhook)(\/|$)/, "system"],
+    ["GET", /^\/api\/audit(\/|$)/, "system"],
+    ["*", /^\/api\/sessions(\/|$)/, "view"],
+    ["GET", /^\/api\/auth\/sync$/, "users"],
+    ["GET", /^\/api\/user\/[^/]+$/, "view"],
+    ["POST", /^\/api\/user\/[^/]+$/, "view"],
+    ["*", /^\/api\/users\/[^/]+\/totp$/, "view"],
+    ["*", /^\/api\/users\/[^/]+\/keys(\/|$)/, "view"],
+    ["*", /^\/api\/(users|user)(\/|$)/, "users"],
+    ["GET", /^\/api\//, "view"],
+    ["PUT", /^\/api\/accessory\/[^/]+\/[^/]+$/, "control"],
+    ["POST", /^\/api\/accessory\/[^/]+\/[^/]+$/, "view"],
+    ["POST", /^\/api\/scene\/[^/]+\/apply$/, "control"],
+    ["*", /^\/api\/(scenes|scene|automations|automation|schedules|schedule)(\/|$)/, "automate"],
+    ["POST", /^\/api\/layout\/dashboard$/, "config"],
+    ["POST", /^\/api\/layout$/, "view"],
+    ["DELETE", /^\/api\/service\/disabled(\/|$)/, "plugins"],
+    ["*", /^\/api\/service(\/|$)/, "service"],
+    ["*", /^\/api\/(plugins|plugin|jobs|job)(\/|$)/, "plugins"],
+    ["*", /^\/api\/config(\/|$)/, "config"]
+];
+
+const scopes = {
+    read: routes,
+    control: routes.concat([
+        ["PUT", /^\/api\/accessory\/[^/]+\/[^/]+$/],
+        ["POST", /^\/api\/scene\/[^/]+\/apply$/]
+    ]),
+    admin: null
+};
+
+const verified = {};
+
 module.exports = class User {
-    static async generateToken(id, remember) {
+    static async generateToken(id, remember, meta) {
         const user = HBS.users.filter(u => u.id === id)[0];
         const key = await User.generateSalt();
 
         if (user) {
+            const ttl = remember ? 525600 : HBS.config.client.inactive_logoff;
+            const session = Sessions.create(user.id, ttl, meta);
+
             const token = {
+                sid: session.id,
                 key,
                 id: user.id,
                 name: user.name,
                 username: user.username,
                 admin: user.admin,
-                ttl: remember ? 525600 : HBS.config.client.inactive_logoff,
+                role: User.role(user),
+                permissions: User.permissions(user),
+                rooms: Array.isArray(user.rooms) ? user.rooms : null,
+                enroll: User.enrollment(user),
+                ttl,
                 token: await User.hashValue(user.password, key)
             };
 
-            HBS.cache.set(Buffer.from(JSON.stringify(token), "utf8").toString("base64"), true, token.ttl);
+            const payload = Buffer.from(JSON.stringify(token), "utf8").toString("base64");
 
-            return Buffer.from(JSON.stringify(token), "utf8").toString("base64");
+            return `${payload}.${Sessions.sign(payload)}`;
         }
 
         return false;
     }
 
+    static payload(token) {
+        const parts = `${token || ""}`.split(".");
+
+        if (parts.length !== 2 || !Sessions.verify(parts[0], parts[1])) {
+            return null;
+        }
+
+        return HBS.JSON.tryParse(Buffer.from(parts[0], "base64").toString());
+    }
+
+    static strip(user) {
+        const { password, salt, totp, ...shared } = user;
+
+        return {
+            ...shared,
+            totp: totp ? { enabled: !!totp.enabled } : undefined,
+            keys: (user.keys || []).map(({ hash, ...key }) => key)
+        };
+    }
+
+    static get client() {
+        return HBS.name && HBS.name !== "" ? (HBS.config.server || {}).client || null : null;
+    }
+
+    static async remote(authorization) {
+        const now = new Date().getTime();
+
+        if (verified[authorization] && verified[authorization] > now) {
+            return true;
+        }
+
+        let valid = false;
+
+        try {
+            valid = (await Request.get(`${User.client}/api/auth/validate`, {
+                headers: {
+                    Authorization: authorization
+                },
+                httpsAgent: HTTPS.agent()
+            })).data.valid === true;
+        } catch (_error) {
+            valid = false;
+        }
+
+        const keys = Object.keys(verified);
+
+        for (let i = 0; i < keys.length; i++) {
+            if (verified[keys[i]] <= now) {
+                delete verified[keys[i]];
+            }
+        }
+
+        if (valid) {
+            verified[authorization] = now + (5 * 1000);
+        }
+
+        return valid;
+    }
+
+    static session(token) {
+        const data = User.isKey(token) ? null : User.payload(token);
+
+        return data ? data.sid || null : null;
+    }
+
     static get(username) {
         return HBS.users.filter(u => u.username.toLowerCase() === username.toLowerCase())[0];
     }
@@ -57,7 +187,13 @@ module.exports = class User {
             return {};
         }
 
-        const data = HBS.JSON.tryParse(Buffer.from(token, "base64").toString());
+        if (User.isKey(token)) {
+            const id = token.replace(/^Bearer\s+/i, "").split("_")[1];
+
+            return HBS.users.filter(u => (u.keys || []).findIndex(k => k.id === id) >= 0)[0] || {};
+        }
+
+        const data = User.payload(token);
 
         if (data) {
             const user = HBS.users.filter(u => u.id === data.id)[0];
@@ -72,7 +208,7 @@ module.exports = class User {
         return false;
     }
 
-    static async create(name, username, password, admin) {
+    static async create(name, username, password, admin, role, rooms) {
         const user = {
             id: 1,
             name,
@@ -83,6 +219,9 @@ module.exports = class User {
         }
 
         user.admin = HBS.JSON.tryParse(admin, false);
+        user.role = roles[role] ? role : (user.admin ? "admin" : "operator");
+        user.admin = user.role === "admin";
+        user.rooms = Array.isArray(rooms) ? rooms : null;
         user.password = await User.hashValue(user.password, user.salt);
 
         if (HBS.users.length > 0) {
@@ -91,6 +230,11 @@ module.exports = class User {
 
         HBS.users.push(user);
 
+        Audit.record("user.create", {
+            target: Audit.user(user.id),
+            role: user.role
+        });
+
         if (File.existsSync(join(Server.paths.config, HBS.name || "", "access.json"))) {
             File.unlinkSync(join(Server.paths.config, HBS.name || "", "access.json"));
         }
@@ -100,23 +244,39 @@ module.exports = class User {
         return user;
     }
 
-    static async update(id, name, username, password, admin) {
+    static async update(id, name, username, password, admin, role, rooms, session) {
         const index = HBS.users.findIndex(u => u.id === id);
 
         if (index >= 0 && (!HBS.users[index].admin || HBS.admin)) {
+            const previous = HBS.JSON.clone(HBS.users[index]);
+
             HBS.users[index].name = name;
             HBS.users[index].username = username;
 
             if (HBS.admin) {
-                HBS.users[index].admin = admin;
-            } else {
-                HBS.users[index].admin = false;
+                if (!roles[role]) {
+                    role = HBS.JSON.tryParse(admin, false) ? "admin" : (HBS.users[index].admin ? "operator" : User.role(HBS.users[index]));
+                }
+
+                HBS.users[index].role = role;
+                HBS.users[index].admin = HBS.users[index].role === "admin";
+
+                if (rooms !== undefined) {
+                    HBS.users[index].rooms = Array.isArray(rooms) ? rooms : null;
+                }
             }
 
             if (password) {
                 HBS.users[index].password = await User.hashValue(password, HBS.users[index].salt);
+
+                Sessions.revokeUser(id, session);
             }
 
+            Audit.record("user.update", {
+                target: Audit.user(id),
+                changes: ["name", "username", "role", "rooms", "password"].filter(f => !HBS.JSON.equals(previous[f], HBS.users[index][f]))
+            });
+
             if (File.existsSync(join(Server.paths.config, HBS.name || "", "access.json"))) {
                 File.unlinkSync(join(Server.paths.config, HBS.name || "", "access.json"));
             }
@@ -133,8 +293,14 @@ module.exports = class User {
         const index = HBS.users.findIndex(u => u.id === id);
 
         if (index >= 0 && (!HBS.users[index].admin || HBS.admin)) {
+            Audit.record("user.delete", {
+                target: Audit.user(id)
+            });
+
             HBS.users.splice(index, 1);
 
+            Sessions.revokeUser(id);
+
             if (File.existsSync(join(Server.paths.config, HBS.name || "", "access.json"))) {
                 File.unlinkSync(join(Server.paths.config, HBS.name || "", "access.json"));
             }
@@ -147,41 +313,384 @@ module.exports = class User {
         return false;
     }
 
-    static async validateToken(token) {
-        if (!token || token === "") {
-            return false;
+    static async authorize(authorization, method, path, ip) {
+        if (User.isKey(authorization)) {
+            return await User.validateKey(authorization, method, path, ip);
         }
 
-        const server = HBS.cache.get(token);
+        return User.validateToken(authorization, ip);
+    }
+
+    static failed(username, ip, reason, source) {
+        Webhooks.emit("auth.failed", {
+            username,
+            ip
+        });
+
+        Audit.record("auth.failed", {
+            user: null,
+            username,
+            ip,
+            reason,
+            source: source || "login"
+        });
 
-        if (!server && !HBS.name) {
+        if (Throttle.fail(ip, username)) {
+            HBS.log.warn(`[Auth] Too many failed logins for "${username}" from ${ip}`);
+
+            Audit.record("auth.locked", {
+                user: null,
+                username,
+                ip
+            });
+        }
+    }
+
+    static invalid(type, ip, id) {
+        Audit.record(`${type}.invalid`, {
+            user: Audit.user(id),
+            ip: ip || null
+        });
+
+        return false;
+    }
+
+    static async validateToken(token, ip) {
+        if (!token || token === "") {
             return false;
         }
 
-        const data = HBS.JSON.tryParse(Buffer.from(token, "base64").toString());
+        const data = User.payload(token);
 
         if (data) {
             const user = HBS.users.filter(u => u.id === data.id)[0];
 
             if (!user) {
+                return User.invalid("token", ip);
+            }
+
+            if (User.client) {
+                if (!(await User.remote(token))) {
+                    return false;
+                }
+
+                HBS.user = user.id;
+                HBS.admin = user.admin;
+
+                return true;
+            }
+
+            const session = Sessions.get(data.sid);
+
+            if (!session || session.user !== user.id || Sessions.expired(session)) {
                 return false;
             }
 
-            const challenge = await User.hashValue(user.password, data.key);
+            const challenge = await User.hashValue(user.password, `${data.key}`);
 
             if (challenge === data.token) {
+                Sessions.touch(session, ip);
+
                 HBS.user = user.id;
                 HBS.admin = user.admin;
 
-                HBS.cache.set(token, true, data.ttl || HBS.config.client.inactive_logoff || 30);
-
                 return true;
             }
+
+            return User.invalid("token", ip, user.id);
+        }
+
+        return User.invalid("token", ip);
+    }
+
+    static get roles() {
+        return Object.keys(roles);
+    }
+
+    static role(user) {
+        if (!user) {
+            return null;
+        }
+
+        if (roles[user.role]) {
+            return user.role;
+        }
+
+        return user.admin ? "admin" : "operator";
+    }
+
+    static permissions(user) {
+        const role = User.role(user);
+
+        if (User.enrollment(user)) {
+            return ["view"];
+        }
+
+        return role ? roles[role].slice() : [];
+    }
+
+    static can(user, permission) {
+        return User.permissions(user).indexOf(permission) >= 0;
+    }
+
+    static permission(method, path) {
+        const rule = rules.find(r => (r[0] === "*" || r[0] === method) && r[1].test(path));
+
+        return rule ? rule[2] : "system";
+    }
+
+    static permitted(user, method, path) {
+        return User.can(user, User.permission(method, path));
+    }
+
+    static totp(user) {
+        return !!(user && user.totp && user.totp.enabled);
+    }
+
+    static enrollment(user) {
+        return !!(user && user.admin && (HBS.config.server || {}).require_2fa_admin && !User.totp(user));
+    }
+
+    static enroll(id) {
+        const user = HBS.users.filter(u => u.id === id)[0];
+
+        if (!user || User.totp(user)) {
+            return false;
+        }
+
+        user.totp = {
+            secret: Totp.secret(),
+            enabled: false,
+            recovery: [],
+            last: null
+        };
+
+        User.save();
+
+        return {
+            secret: user.totp.secret,
+            uri: Totp.uri(user.username, user.totp.secret)
+        };
+    }
+
+    static confirm(id, code) {
+        const user = HBS.users.filter(u => u.id === id)[0];
+
+        if (!user || !user.totp || user.totp.enabled) {
+            return false;
+        }
+
+        const counter = Totp.verify(user.totp.secret, code, user.totp.last);
+
+        if (counter === false) {
+            return false;
+        }
+
+        const recovery = Totp.recovery();
+
+        user.totp.enabled = true;
+        user.totp.last = counter;
+        user.totp.recovery = recovery.map(c => User.hashKey(c));
+
+        Audit.record("user.totp.enable", {
+            target: Audit.user(id)
+        });
+
+        User.save();
+
+        return recovery;
+    }
+
+    static challenge(user, code) {
+        if (!User.totp(user)) {
+            return true;
+        }
+
+        const counter = Totp.verify(user.totp.secret, code, user.totp.last);
+
+        if (counter !== false) {
+            user.totp.last = counter;
+
+            User.save();
+
+            return true;
+        }
+
+        const index = (user.totp.recovery || []).indexOf(User.hashKey(`${code || ""}`.trim().toLowerCase()));
+
+        if (index >= 0) {
+            user.totp.recovery.splice(index, 1);
+
+            User.save();
+
+            return true;
+        }
+
+        return false;
+    }
+
+    static disable(id) {
+        const user = HBS.users.filter(u => u.id === id)[0];
+
+        if (!user || !user.totp) {
+            return false;
+        }
+
+        delete user.totp;
+
+        Audit.record("user.totp.disable", {
+            target: Audit.user(id)
+        });
+
+        User.save();
+
+        return true;
+    }
+
+    static get scopes() {
+        return Object.keys(scopes);
+    }
+
+    static isKey(value) {
+        return /^(Bearer\s+)?hbk_[0-9a-f]+_[0-9a-f]+$/i.test(value || "");
+    }
+
+    static hashKey(key) {
+        return Crypto.createHash("sha256").update(key).digest("hex");
+    }
+
+    static keys(id) {
+        const user = HBS.users.filter(u => u.id === id)[0];
+
+        if (!user) {
+            return false;
+        }
+
+        return (user.keys || []).map(k => ({
+            id: k.id,
+            name: k.name,
+            scope: k.scope,
+            created: k.created,
+            last_used: k.last_used
+        }));
+    }
+
+    static generateKey(id, name, scope) {
+        const user = HBS.users.filter(u => u.id === id)[0];
+
+        if (!user) {
+            return false;
+        }
+
+        const item = {
+            id: Crypto.randomBytes(6).toString("hex"),
+            name,
+            scope,
+            hash: null,
+            created: new Date().getTime(),
+            last_used: null
+        };
+
+        const key = `hbk_${item.id}_${Crypto.randomBytes(32).toString("hex")}`;
+
+        item.hash = User.hashKey(key);
+
+        user.keys = user.keys || [];
+        user.keys.push(item);
+
+        Audit.record("user.key.create", {
+            target: Audit.user(id),
+            key: item.id,
+            scope
+        });
+
+        User.save();
+
+        return {
+            id: item.id,
+            name: item.name,
+            scope: item.scope,
+            created: item.created,
+            last_used: item.last_used,
+            key
+        };
+    }
+
+    static revokeKey(id, key) {
+        const user = HBS.users.filter(u => u.id === id)[0];
+        const index = user ? (user.keys || []).findIndex(k => k.id === key) : -1;
+
+        if (index >= 0) {
+            user.keys.splice(index, 1);
+
+            Audit.record("user.key.revoke", {
+                target: Audit.user(id),
+                key
+            });
+
+            User.save();
+
+            return true;
         }
 
         return false;
     }
 
+    static findKey(value) {
+        const key = `${value || ""}`.replace(/^Bearer\s+/i, "");
+        const parts = key.split("_");
+
+        for (let i = 0; i < HBS.users.length; i++) {
+            const item = (HBS.users[i].keys || []).filter(k => k.id === parts[1])[0];
+
+            if (item && (User.client || Crypto.timingSafeEqual(Buffer.from(item.hash, "hex"), Buffer.from(User.hashKey(key), "hex")))) {
+                return {
+                    user: HBS.users[i],
+                    item
+                };
+            }
+        }
+
+        return null;
+    }
+
+    static async validateKey(value, method, path, ip) {
+        const found = User.findKey(value);
+
+        if (found && (!User.client || await User.remote(value))) {
+            const { user, item } = found;
+            const allowed = !scopes[item.scope] || scopes[item.scope].findIndex(r => r[0] === method && r[1].test(path)) >= 0;
+
+            if (!allowed) {
+                return false;
+            }
+
+            const now = new Date().getTime();
+            const stale = !item.last_used || now - item.last_used > 60 * 1000;
+
+            item.last_used = now;
+
+            if (stale) {
+                User.save();
+            }
+
+            HBS.user = user.id;
+            HBS.admin = item.scope === "admin" && user.admin;
+
+            return true;
+        }
+
+        return User.invalid("key", ip);
+    }
+
+    static save() {
+        if (File.existsSync(join(Server.paths.config, HBS.name || "", "access.json"))) {
+            File.unlinkSync(join(Server.paths.config, HBS.name || "", "access.json"));
+        }
+
+        File.appendFileSync(join(Server.paths.config, HBS.name || "", "access.json"), JSON.stringify(HBS.users, null, 4));
+    }
+
     static generateSalt() {
         return new Promise((resolve, reject) => {
             Crypto.randomBytes(32, (error, buffer) => {
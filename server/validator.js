@@ -0,0 +1,223 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const Ajv = require("ajv");
+
+const HBS = require("./instance");
+const Plugins = require("./plugins");
+
+const types = {
+    text: "string",
+    float: "number",
+    decimal: "number",
+    double: "number",
+    int: "integer",
+    bool: "boolean"
+};
+
+const valid = ["string", "number", "integer", "boolean", "object", "array", "null"];
+
+module.exports = class Validator {
+    static normalize(schema) {
+        if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+            return schema;
+        }
+
+        const results = {};
+        const required = Array.isArray(schema.required) ? schema.required.slice() : [];
+        const keys = Object.keys(schema);
+
+        for (let i = 0; i < keys.length; i++) {
+            const value = schema[keys[i]];
+
+            switch (keys[i]) {
+                case "type":
+                    const type = (Array.isArray(value) ? value : [value]).map(t => types[`${t}`.toLowerCase()] || `${t}`.toLowerCase()).filter(t => valid.indexOf(t) >= 0);
+
+                    if (type.length > 0) {
+                        results.type = type.length === 1 ? type[0] : type;
+                    }
+
+                    break;
+
+                case "required":
+                    break;
+
+                case "enum":
+                    if (Array.isArray(value)) {
+                        results.enum = value.map(e => (e && typeof e === "object" && e.value !== undefined ? e.value : e));
+                    }
+
+                    break;
+
+                case "properties":
+                case "patternProperties":
+                case "definitions":
+                    results[keys[i]] = {};
+
+                    for (const name of Object.keys(value || {})) {
+                        if (keys[i] === "properties" && value[name] && value[name].required === true && required.indexOf(name) === -1) {
+                            required.push(name);
+                        }
+
+                        results[keys[i]][name] = Validator.normalize(value[name]);
+                    }
+
+                    break;
+
+                case "items":
+                    results.items = Array.isArray(value) ? value.map(v => Validator.normalize(v)) : Validator.normalize(value);
+                    break;
+
+                case "oneOf":
+                case "anyOf":
+                case "allOf":
+                    results[keys[i]] = Array.isArray(value) ? value.map(v => Validator.normalize(v)) : value;
+                    break;
+
+                case "additionalProperties":
+                case "not":
+                    results[keys[i]] = typeof value === "object" ? Validator.normalize(value) : value;
+                    break;
+
+                default:
+                    results[keys[i]] = value;
+                    break;
+            }
+        }
+
+        if (required.length > 0) {
+            results.required = required;
+        }
+
+        return results;
+    }
+
+    static schemas() {
+        const results = [];
+        const installed = Plugins.list();
+        const keys = Object.keys(installed);
+
+        for (let i = 0; i < keys.length; i++) {
+            const { name, schema } = installed[keys[i]];
+
+            if (schema.platform.schema && Object.keys(schema.platform.schema).length > 0) {
+                results.push({
+                    type: "platform",
+                    plugin: name,
+                    alias: schema.platform.plugin_alias,
+                    index: null,
+                    schema: schema.platform.schema
+                });
+            }
+
+            for (let j = 0; j < schema.accessories.schemas.length; j++) {
+                results.push({
+                    type: "accessory",
+                    plugin: name,
+                    alias: schema.accessories.plugin_alias,
+                    index: j,
+                    schema: schema.accessories.schemas[j]
+                });
+            }
+        }
+
+        return results;
+    }
+
+    static match(schemas, type, entry) {
+        const plugin = (entry.plugin_map || {}).plugin_name;
+        const alias = type === "platform" ? entry.platform : entry.accessory;
+
+        return schemas.filter((s) => {
+            if (s.type !== type) {
+                return false;
+            }
+
+            if (plugin && s.plugin === plugin) {
+                return type === "platform" || s.index === ((entry.plugin_map || {}).index || 0);
+            }
+
+            return !plugin && alias && s.alias === alias && (type === "platform" || s.index === 0);
+        })[0];
+    }
+
+    static field(error) {
+        let field = (error.dataPath || "").replace(/\[['"](.*?)['"]\]/g, ".$1").replace(/\[(\d+)\]/g, ".$1").replace(/^\./, "");
+
+        if (error.keyword === "required" && error.params && error.params.missingProperty) {
+            field = `${field}${field !== "" ? "." : ""}${error.params.missingProperty.replace(/^\./, "").replace(/^\['(.*)'\]$/, "$1")}`;
+        }
+
+        return field;
+    }
+
+    static validate(config) {
+        const errors = [];
+        const schemas = Validator.schemas();
+
+        const ajv = new Ajv({
+            allErrors: true,
+            validateSchema: false,
+            unknownFormats: "ignore",
+            nullable: true
+        });
+
+        const blocks = (config.platforms || []).map((entry, index) => ({ type: "platform", entry, index })).concat((config.accessories || []).map((entry, index) => ({ type: "accessory", entry, index })));
+
+        for (let i = 0; i < blocks.length; i++) {
+            const { type, entry, index } = blocks[i];
+
+            if (!entry || typeof entry !== "object") {
+                continue;
+            }
+
+            const schema = Validator.match(schemas, type, entry);
+
+            if (schema) {
+                const data = HBS.JSON.clone(entry);
+
+                delete data.plugin_map;
+                delete data.isolated;
+                delete data.secret_fields;
+
+                let validate = null;
+
+                try {
+                    validate = ajv.compile(Validator.normalize(schema.schema));
+                } catch (error) {
+                    HBS.log.debug(`[Validator] Unable to compile schema for "${schema.plugin}": ${error.message}`);
+                }
+
+                if (validate && !validate(data)) {
+                    for (let j = 0; j < validate.errors.length; j++) {
+                        errors.push({
+                            type,
+                            index,
+                            plugin: schema.plugin,
+                            field: Validator.field(validate.errors[j]),
+                            message: validate.errors[j].message
+                        });
+                    }
+                }
+            }
+        }
+
+        return errors;
+    }
+}
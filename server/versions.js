@@ -0,0 +1,187 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const File = require("fs-extra");
+
+const HBS = require("./instance");
+const Server = require("./server");
+
+const { join } = require("path");
+
+module.exports = class Versions {
+    static get path() {
+        return join(Server.paths.config, HBS.name || "", "versions");
+    }
+
+    static get settings() {
+        const server = (HBS.config || {}).server || {};
+
+        return {
+            count: parseInt(server.config_versions, 10) || 50,
+            days: parseInt(server.config_versions_days, 10) || 90
+        };
+    }
+
+    static summary(version) {
+        return {
+            id: version.id,
+            time: version.time,
+            user: version.user,
+            revert: version.revert || null
+        };
+    }
+
+    static user(user) {
+        if (!user || !user.id) {
+            return null;
+        }
+
+        return {
+            id: user.id,
+            name: user.name,
+            username: user.username
+        };
+    }
+
+    static list() {
+        const versions = [];
+
+        if (!File.existsSync(Versions.path)) {
+            return versions;
+        }
+
+        const files = File.readdirSync(Versions.path).filter(f => f.endsWith(".json"));
+
+        for (let i = 0; i < files.length; i++) {
+            const version = HBS.JSON.load(join(Versions.path, files[i]));
+
+            if (version && version.id) {
+                versions.push(Versions.summary(version));
+            }
+        }
+
+        return versions.sort((a, b) => b.time - a.time);
+    }
+
+    static get(id) {
+        if (id === "current") {
+            return {
+                id,
+                time: new Date().getTime(),
+                user: null,
+                config: HBS.JSON.load(join(Server.paths.config, HBS.name || "", "config.json"), {})
+            };
+        }
+
+        if (!/^[0-9a-z_]+$/i.test(id || "")) {
+            return null;
+        }
+
+        return HBS.JSON.load(join(Versions.path, `${id}.json`));
+    }
+
+    static record(config, previous, user, revert) {
+        try {
+            File.ensureDirSync(Versions.path);
+
+            if (previous && Object.keys(previous).length > 0 && Versions.list().length === 0) {
+                Versions.write(previous, null, null);
+            }
+
+            const version = Versions.write(config, Versions.user(user), revert);
+
+            Versions.prune();
+
+            return version;
+        } catch (error) {
+            HBS.log.error(`[Versions] ${error.message}`);
+        }
+
+        return null;
+    }
+
+    static write(config, user, revert) {
+        const time = new Date().getTime();
+
+        const version = {
+            id: `${time}_${Math.random().toString(36).substr(4, 5)}`,
+            time,
+            user,
+            revert: revert || null,
+            config
+        };
+
+        Versions.save(version);
+
+        return version;
+    }
+
+    static save(version) {
+        const filename = join(Versions.path, `${version.id}.json`);
+
+        if (File.existsSync(filename)) {
+            File.unlinkSync(filename);
+        }
+
+        File.appendFileSync(filename, HBS.JSON.toString(version));
+    }
+
+    static prune() {
+        const settings = Versions.settings;
+        const expired = new Date().getTime() - (settings.days * 24 * 60 * 60 * 1000);
+        const versions = Versions.list();
+
+        for (let i = 1; i < versions.length; i++) {
+            if (i >= settings.count || versions[i].time < expired) {
+                File.removeSync(join(Versions.path, `${versions[i].id}.json`));
+            }
+        }
+    }
+
+    static diff(from, to, path) {
+        path = path || "";
+
+        const changes = [];
+
+        if (HBS.JSON.equals(from, to)) {
+            return changes;
+        }
+
+        const objects = from !== null && to !== null && typeof from === "object" && typeof to === "object" && Array.isArray(from) === Array.isArray(to);
+
+        if (!objects) {
+            if (from === undefined) {
+                changes.push({ path, type: "added", to });
+            } else if (to === undefined) {
+                changes.push({ path, type: "removed", from });
+            } else {
+                changes.push({ path, type: "changed", from, to });
+            }
+
+            return changes;
+        }
+
+        const keys = Array.isArray(from) ? [...Array(Math.max(from.length, to.length)).keys()] : [...new Set(Object.keys(from).concat(Object.keys(to)))];
+
+        for (let i = 0; i < keys.length; i++) {
+            changes.push(...Versions.diff(from[keys[i]], to[keys[i]], Array.isArray(from) ? `${path}[${keys[i]}]` : `${path}${path !== "" ? "." : ""}${keys[i]}`));
+        }
+
+        return changes;
+    }
+}
@@ -0,0 +1,228 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const File = require("fs-extra");
+
+const HBS = require("./instance");
+const Server = require("./server");
+const Rollback = require("./rollback");
+
+const { join } = require("path");
+
+const policies = ["always", "on-failure", "never"];
+const retention = 50;
+const limit = 5;
+const window = 10 * 60 * 1000;
+const delay = 5 * 1000;
+const ceiling = 5 * 60 * 1000;
+
+const state = {};
+
+module.exports = class Watchdog {
+    static get policies() {
+        return policies;
+    }
+
+    static get policy() {
+        const policy = (HBS.config.server || {}).restart_policy;
+
+        return policies.indexOf(policy) >= 0 ? policy : "on-failure";
+    }
+
+    static start() {
+        HBS.server.on("crash", (data) => {
+            Watchdog.crash(data);
+        });
+    }
+
+    static instance(bridge) {
+        if (!bridge) {
+            return HBS.server;
+        }
+
+        return Object.keys(HBS.server.children).indexOf(bridge) >= 0 ? HBS.server.children[bridge] : null;
+    }
+
+    static async crash(data) {
+        const now = new Date().getTime();
+        const key = data.bridge || "";
+        const current = state[key] || { crashes: [], timer: null };
+
+        state[key] = current;
+        current.crashes = current.crashes.filter(t => t >= now - window).concat([now]);
+
+        const crash = {
+            id: 1,
+            time: now,
+            bridge: data.bridge || null,
+            code: data.code,
+            signal: data.signal,
+            stderr: data.stderr || [],
+            action: "none",
+            plugin: null,
+            delay: null
+        };
+
+        if (HBS.crashes.length > 0) {
+            crash.id = HBS.crashes[HBS.crashes.length - 1].id + 1;
+        }
+
+        HBS.log.error(`[Watchdog] ${data.bridge ? `Bridge "${data.bridge}"` : "Bridge"} exited unexpectedly (${data.signal ? `signal ${data.signal}` : `code ${data.code}`}).`);
+
+        if (Rollback.active) {
+            crash.action = "rollback";
+        } else if (Watchdog.policy === "never" || (Watchdog.policy === "on-failure" && data.code === 0 && !data.signal)) {
+            crash.action = "none";
+        } else if (current.crashes.length >= limit) {
+            const plugin = Watchdog.suspect(data.bridge);
+
+            if (plugin) {
+                crash.action = "disabled";
+                crash.plugin = plugin;
+
+                current.crashes = [];
+
+                await Watchdog.disable(plugin);
+
+                HBS.log.error(`[Watchdog] Crash loop detected, plugin "${plugin}" disabled.`);
+                HBS.log.push.error(plugin, "Plugin disabled after repeated bridge crashes");
+
+                if (!data.bridge) {
+                    crash.delay = delay;
+
+                    Watchdog.schedule(key, crash.delay);
+                }
+            } else {
+                crash.action = "stopped";
+
+                HBS.log.error("[Watchdog] Crash loop detected, automatic restarts stopped.");
+                HBS.log.push.error(data.bridge ? `Bridge (${data.bridge})` : "Bridge", "Bridge keeps crashing, automatic restarts stopped");
+            }
+        } else {
+            crash.action = "restart";
+            crash.delay = Math.min(delay * Math.pow(2, current.crashes.length - 1), ceiling);
+
+            HBS.log.warn(`[Watchdog] Restarting in ${crash.delay / 1000} seconds.`);
+
+            Watchdog.schedule(key, crash.delay);
+        }
+
+        HBS.crashes.push(crash);
+
+        Watchdog.save();
+    }
+
+    static schedule(key, timeout) {
+        const current = state[key];
+
+        if (current.timer) {
+            clearTimeout(current.timer);
+        }
+
+        current.timer = setTimeout(() => {
+            const instance = Watchdog.instance(key);
+
+            current.timer = null;
+
+            if (instance && !instance.running && !instance.stopping && !Rollback.active) {
+                instance.start();
+            }
+        }, timeout);
+    }
+
+    static suspect(bridge) {
+        const disabled = HBS.config.disabled || [];
+
+        if (bridge) {
+            return disabled.indexOf(bridge) === -1 ? bridge : null;
+        }
+
+        const isolated = Server.isolated(HBS.config);
+
+        const jobs = HBS.jobs.filter(j => j.state === "succeeded" && j.type !== "uninstall").sort((a, b) => b.finished - a.finished);
+
+        for (let i = 0; i < jobs.length; i++) {
+            const name = jobs[i].plugin.split("/").pop();
+
+            if ((HBS.config.plugins || []).indexOf(name) >= 0 && disabled.indexOf(name) === -1 && isolated.indexOf(name) === -1) {
+                return name;
+            }
+        }
+
+        return null;
+    }
+
+    static async disable(name) {
+        const config = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "config.json"), {});
+
+        config.disabled = config.disabled || [];
+
+        if (config.disabled.indexOf(name) === -1) {
+            config.disabled.push(name);
+        }
+
+        Server.saveConfig(config);
+
+        HBS.config = await Server.configure();
+    }
+
+    static async enable(name) {
+        const config = HBS.JSON.load(join(Server.paths.config, HBS.name || "", "config.json"), {});
+        const index = (config.disabled || []).indexOf(name);
+
+        if (index === -1) {
+            return false;
+        }
+
+        config.disabled.splice(index, 1);
+
+        if (config.disabled.length === 0) {
+            delete config.disabled;
+        }
+
+        Server.saveConfig(config);
+
+        HBS.config = await Server.configure();
+
+        return true;
+    }
+
+    static clear() {
+        HBS.crashes = [];
+
+        const keys = Object.keys(state);
+
+        for (let i = 0; i < keys.length; i++) {
+            state[keys[i]].crashes = [];
+        }
+
+        Watchdog.save();
+    }
+
+    static save() {
+        while (HBS.crashes.length > retention) {
+            HBS.crashes.shift();
+        }
+
+        if (File.existsSync(join(Server.paths.config, HBS.name || "", "crashes.json"))) {
+            File.unlinkSync(join(Server.paths.config, HBS.name || "", "crashes.json"));
+        }
+
+        File.appendFileSync(join(Server.paths.config, HBS.name || "", "crashes.json"), HBS.JSON.toString(HBS.crashes));
+    }
+}
@@ -0,0 +1,339 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+const File = require("fs-extra");
+const Crypto = require("crypto");
+const Request = require("axios");
+
+const HBS = require("./instance");
+const Server = require("./server");
+
+const { join } = require("path");
+
+const events = [
+    "accessory.characteristic",
+    "bridge.start",
+    "bridge.stop",
+    "plugin.install",
+    "plugin.uninstall",
+    "plugin.update",
+    "backup.complete",
+    "auth.failed",
+    "test"
+];
+
+const attempts = 5;
+const backoff = 5 * 1000;
+const timeout = 10 * 1000;
+const retention = 100;
+
+const deliveries = {};
+
+module.exports = class Webhooks {
+    static get events() {
+        return events.filter(e => e !== "test");
+    }
+
+    static get path() {
+        return join(Server.paths.config, HBS.name || "", "webhooks");
+    }
+
+    static get(id) {
+        return HBS.webhooks.filter(w => w.id === id)[0];
+    }
+
+    static create(webhook) {
+        const item = {
+            id: 1,
+            ...Webhooks.normalize(webhook),
+            created: new Date().getTime()
+        };
+
+        if (HBS.webhooks.length > 0) {
+            item.id = HBS.webhooks[HBS.webhooks.length - 1].id + 1;
+        }
+
+        HBS.webhooks.push(item);
+
+        Webhooks.save();
+
+        return item;
+    }
+
+    static update(id, webhook) {
+        const index = HBS.webhooks.findIndex(w => w.id === id);
+
+        if (index >= 0) {
+            HBS.webhooks[index] = {
+                id,
+                ...Webhooks.normalize(webhook, HBS.webhooks[index].secret),
+                created: HBS.webhooks[index].created
+            };
+
+            Webhooks.save();
+
+            return HBS.webhooks[index];
+        }
+
+        return false;
+    }
+
+    static delete(id) {
+        const index = HBS.webhooks.findIndex(w => w.id === id);
+
+        if (index >= 0) {
+            HBS.webhooks.splice(index, 1);
+
+            Webhooks.save();
+
+            delete deliveries[id];
+
+            File.removeSync(join(Webhooks.path, `${id}.log`));
+
+            return true;
+        }
+
+        return false;
+    }
+
+    static save() {
+        if (File.existsSync(join(Server.paths.config, HBS.name || "", "webhooks.json"))) {
+            File.unlinkSync(join(Server.paths.config, HBS.name || "", "webhooks.json"));
+        }
+
+        File.appendFileSync(join(Server.paths.config, HBS.name || "", "webhooks.json"), HBS.JSON.toString(HBS.webhooks));
+    }
+
+    static validate(webhook) {
+        if (!webhook || !webhook.name || webhook.name === "") {
+            return "Invalid webhook name.";
+        }
+
+        if (!/^https?:\/\/[^\s]+$/i.test(webhook.url || "")) {
+            return "Invalid webhook url.";
+        }
+
+        if (!Array.isArray(webhook.events) || webhook.events.length === 0) {
+            return "No events defined.";
+        }
+
+        for (let i = 0; i < webhook.events.length; i++) {
+            if (webhook.events[i] !== "*" && Webhooks.events.indexOf(webhook.events[i]) === -1) {
+                return `Invalid event ${webhook.events[i]}.`;
+            }
+        }
+
+        if (webhook.filters && (typeof webhook.filters !== "object" || Array.isArray(webhook.filters))) {
+            return "Invalid filters.";
+        }
+
+        return null;
+    }
+
+    static normalize(webhook, secret) {
+        const filters = {};
+
+        for (const key of Object.keys(webhook.filters || {})) {
+            const values = (Array.isArray(webhook.filters[key]) ? webhook.filters[key] : [webhook.filters[key]]).filter(v => v !== null && v !== undefined && v !== "");
+
+            if (values.length > 0) {
+                filters[key] = values.map(v => `${v}`);
+            }
+        }
+
+        return {
+            name: webhook.name,
+            url: webhook.url,
+            enabled: webhook.enabled !== false,
+            secret: webhook.secret || secret || Crypto.randomBytes(20).toString("hex"),
+            events: webhook.events.filter((e, i, a) => a.indexOf(e) === i),
+            filters
+        };
+    }
+
+    static subscribed(webhook, event, data) {
+        if (!webhook.enabled || (webhook.events.indexOf("*") === -1 && webhook.events.indexOf(event) === -1)) {
+            return false;
+        }
+
+        for (const key of Object.keys(webhook.filters || {})) {
+            if (data && data[key] !== undefined && webhook.filters[key].indexOf(`${data[key]}`) === -1) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    static sign(secret, body) {
+        return `sha256=${Crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+    }
+
+    static start() {
+        HBS.server.on("start", () => {
+            Webhooks.emit("bridge.start", {
+                port: HBS.config.bridge.port
+            });
+        });
+
+        HBS.server.on("stop", () => {
+            Webhooks.emit("bridge.stop", {
+                port: HBS.config.bridge.port
+            });
+        });
+
+        HBS.server.on("backup", (data) => {
+            Webhooks.emit("backup.complete", data);
+        });
+    }
+
+    static process(change) {
+        Webhooks.emit("accessory.characteristic", {
+            aid: change.aid,
+            iid: change.iid,
+            type: change.type,
+            value: change.value
+        });
+    }
+
+    static emit(event, data) {
+        if (!HBS.webhooks) {
+            return;
+        }
+
+        for (let i = 0; i < HBS.webhooks.length; i++) {
+            if (Webhooks.subscribed(HBS.webhooks[i], event, data)) {
+                Webhooks.deliver(HBS.webhooks[i], event, data);
+            }
+        }
+    }
+
+    static deliver(webhook, event, data) {
+        const payload = {
+            id: Crypto.randomBytes(8).toString("hex"),
+            event,
+            instance: HBS.name || "default",
+            time: new Date().getTime(),
+            data: data || {}
+        };
+
+        return Webhooks.attempt(webhook, payload, 1);
+    }
+
+    static async attempt(webhook, payload, attempt) {
+        const body = JSON.stringify(payload);
+        const started = new Date().getTime();
+
+        const entry = {
+            delivery: payload.id,
+            event: payload.event,
+            attempt,
+            time: started,
+            status: null,
+            success: false,
+            error: null,
+            duration: 0
+        };
+
+        try {
+            const response = await Request.post(webhook.url, body, {
+                timeout,
+                headers: {
+                    "Content-Type": "application/json",
+                    "User-Agent": `HOOBS/${(HBS.application || {}).version || "unknown"}`,
+                    "X-HOOBS-Event": payload.event,
+                    "X-HOOBS-Delivery": payload.id,
+                    "X-HOOBS-Signature": Webhooks.sign(webhook.secret, body)
+                }
+            });
+
+            entry.status = response.status;
+            entry.success = true;
+        } catch (error) {
+            entry.status = error.response ? error.response.status : null;
+            entry.error = error.message;
+        }
+
+        entry.duration = new Date().getTime() - started;
+
+        Webhooks.log(webhook.id, entry);
+
+        if (!entry.success) {
+            const retry = attempt < attempts && (!entry.status || entry.status >= 500 || entry.status === 429);
+
+            HBS.log.debug(`[Webhooks] Delivery ${payload.id} to "${webhook.name}" failed (${entry.error})${retry ? `, retrying in ${(backoff * Math.pow(2, attempt - 1)) / 1000} seconds` : ""}`);
+
+            if (retry) {
+                setTimeout(() => {
+                    const current = Webhooks.get(webhook.id);
+
+                    if (current && current.enabled) {
+                        Webhooks.attempt(current, payload, attempt + 1);
+                    }
+                }, backoff * Math.pow(2, attempt - 1));
+            }
+        }
+
+        return entry;
+    }
+
+    static deliveries(id) {
+        if (!deliveries[id]) {
+            deliveries[id] = [];
+
+            const filename = join(Webhooks.path, `${id}.log`);
+
+            if (File.existsSync(filename)) {
+                const lines = File.readFileSync(filename).toString().split(/\r?\n/);
+
+                for (let i = 0; i < lines.length; i++) {
+                    const entry = HBS.JSON.tryParse(lines[i]);
+
+                    if (entry) {
+                        deliveries[id].push(entry);
+                    }
+                }
+
+                deliveries[id] = deliveries[id].slice(-retention);
+            }
+        }
+
+        return deliveries[id];
+    }
+
+    static log(id, entry) {
+        const entries = Webhooks.deliveries(id);
+        const filename = join(Webhooks.path, `${id}.log`);
+
+        entries.push(entry);
+
+        try {
+            File.ensureDirSync(Webhooks.path);
+
+            if (entries.length > retention * 2) {
+                deliveries[id] = entries.slice(-retention);
+
+                File.writeFileSync(filename, deliveries[id].map(e => `${JSON.stringify(e)}\n`).join(""));
+            } else {
+                File.appendFileSync(filename, `${JSON.stringify(entry)}\n`);
+            }
+        } catch (error) {
+            HBS.log.error(`[Webhooks] ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,38 @@
+/**************************************************************************************************
+ * hoobs-core                                                                                     *
+ * Copyright (C) 2020 HOOBS                                                                       *
+ *                                                                                                *
+ * This program is free software: you can redistribute it and/or modify                           *
+ * it under the terms of the GNU General Public License as published by                           *
+ * the Free Software Foundation, either version 3 of the License, or                              *
+ * (at your option) any later version.                                                            *
+ *                                                                                                *
+ * This program is distributed in the hope that it will be useful,                                *
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of                                 *
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the                                  *
+ * GNU General Public License for more details.                                                   *
+ *                                                                                                *
+ * You should have received a copy of the GNU General Public License                              *
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.                          *
+ **************************************************************************************************/
+
+export default class Characteristics {
+    static apply(services, change) {
+        let updated = false;
+
+        for (let i = 0; i < (services || []).length; i++) {
+            if (Math.floor(services[i].aid) === change.aid) {
+                const characteristic = (services[i].characteristics || []).find(c => c.iid === change.iid);
+
+                if (characteristic) {
+                    characteristic.value = change.value;
+                    services[i].values[characteristic.type] = change.value;
+
+                    updated = true;
+                }
+            }
+        }
+
+        return updated;
+    }
+}
@@ -51,6 +51,10 @@ export default class Config {
         return this._configuration.ports || {};
     }
 
+    get mqtt() {
+        return this._configuration.mqtt || {};
+    }
+
     get accessories() {
         return this._configuration.accessories || [];
     }
@@ -66,7 +66,7 @@ export default class Cookies {
     }
 
     static decode(value) {
-        return decodeURIComponent(Array.prototype.map.call(atob(value), function(c) {
+        return decodeURIComponent(Array.prototype.map.call(atob(`${value}`.split(".")[0]), function(c) {
             return `%${(`00${c.charCodeAt(0).toString(16)}`).slice(-2)}`
         }).join(""))
     }
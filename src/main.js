@@ -63,6 +63,10 @@ import App from "./app.vue";
                 return config.ports;
             },
         
+            $mqtt() {
+                return config.mqtt;
+            },
+        
             $accessories() {
                 return config.accessories;
             },
@@ -101,6 +105,16 @@ import App from "./app.vue";
                 await config.configure();
             },
 
+            $can(permission) {
+                const user = Store.state.user || {};
+
+                if (Array.isArray(user.permissions)) {
+                    return user.permissions.indexOf(permission) >= 0;
+                }
+
+                return !!user.admin;
+            },
+
             $cookie(name, value, minutes) {
                 if (value === undefined) {
                     return Cookies.get(name);
@@ -245,6 +259,14 @@ import App from "./app.vue";
                         } else {
                             return (await Request.delete(`${config.instance}/api${url}`, data)).data;
                         }
+                    },
+
+                    async blob(url) {
+                        Request.defaults.headers.get["Authorization"] = Cookies.get("token");
+
+                        return (await Request.get(`${config.instance}/api${url}`, {
+                            responseType: "blob"
+                        })).data;
                     }
                 }
             }
@@ -75,6 +75,18 @@ const getRoutes = (defaultRoute) => {
         path: "/accessories/layout",
         name: "layout",
         component: () => import(/* webpackChunkName: "layout" */ "./views/layout.vue")
+    },{
+        path: "/accessories/scenes",
+        name: "scenes",
+        component: () => import(/* webpackChunkName: "scenes" */ "./views/scenes.vue")
+    },{
+        path: "/accessories/automations",
+        name: "automations",
+        component: () => import(/* webpackChunkName: "automations" */ "./views/automations.vue")
+    },{
+        path: "/accessory/:id",
+        name: "accessory",
+        component: () => import(/* webpackChunkName: "accessory" */ "./views/accessory.vue")
     },{
         path: "/config/:section",
         name: "config",
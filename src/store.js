@@ -31,8 +31,10 @@ export default new Vuex.Store({
         forecast: null,
         version: null,
         running: false,
+        bridges: [],
         locked: false,
         refresh: null,
+        characteristic: null,
         screen: {
             width: null,
             height: null
@@ -74,7 +76,8 @@ export default new Vuex.Store({
         query: "",
         results: [],
         streamed: {},
-        notifications: []
+        notifications: [],
+        jobs: []
     },
     mutations: {
         session(state, user) {
@@ -97,6 +100,42 @@ export default new Vuex.Store({
             state.refresh = new Date();
         },
 
+        characteristic(state, change) {
+            state.characteristic = change;
+        },
+
+        jobs(state, jobs) {
+            state.jobs = jobs;
+        },
+
+        job(state, job) {
+            const index = state.jobs.findIndex(j => j.id === job.id);
+
+            if (job.state === "canceled") {
+                if (index >= 0) {
+                    state.jobs.splice(index, 1);
+                }
+            } else if (index >= 0) {
+                state.jobs.splice(index, 1, {
+                    ...state.jobs[index],
+                    ...job
+                });
+            } else {
+                state.jobs.push(job);
+            }
+        },
+
+        output(state, data) {
+            const index = state.jobs.findIndex(j => j.id === data.id);
+
+            if (index >= 0) {
+                state.jobs.splice(index, 1, {
+                    ...state.jobs[index],
+                    output: (state.jobs[index].output || []).concat([data.line]).slice(-500)
+                });
+            }
+        },
+
         show(state, menu) {
             state.menus[menu] = true;
         },
@@ -173,6 +212,7 @@ export default new Vuex.Store({
                 case "status":
                     state.version = payload.data.version;
                     state.running = payload.data.running;
+                    state.bridges = payload.data.bridges || [];
 
                     let diff = payload.data.uptime;
 